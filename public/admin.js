@@ -0,0 +1,360 @@
+/**
+ * The Internet Room - Admin Console
+ *
+ * Polls /api/admin/status and offers eviction, content clearing and
+ * replacement, and a full clear. `?room=<id>` manages a named room
+ * instead of the default one.
+ * The secret is kept in sessionStorage and sent as `x-admin-secret`.
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================================
+  // State
+  // ============================================================
+
+  const SECRET_KEY = 'room-admin-secret';
+  const POLL_INTERVAL = 3000;
+
+  const ROOM = new URLSearchParams(location.search).get('room');
+  const ADMIN_BASE = ROOM ? `/api/rooms/${encodeURIComponent(ROOM)}/admin` : '/api/admin';
+
+  const state = {
+    secret: sessionStorage.getItem(SECRET_KEY),
+    pollTimer: null,
+    busy: false
+  };
+
+  // ============================================================
+  // DOM Elements
+  // ============================================================
+
+  const elements = {
+    signin: document.getElementById('console-signin'),
+    signinForm: document.getElementById('signin-form'),
+    secretInput: document.getElementById('secret-input'),
+    signinError: document.getElementById('signin-error'),
+    main: document.getElementById('console-main'),
+    roomName: document.getElementById('console-room'),
+    updated: document.getElementById('console-updated'),
+    signoutBtn: document.getElementById('signout-btn'),
+
+    lockState: document.getElementById('lock-state'),
+    lockSession: document.getElementById('lock-session'),
+    lockSince: document.getElementById('lock-since'),
+    lockHeartbeat: document.getElementById('lock-heartbeat'),
+    lockTimeout: document.getElementById('lock-timeout'),
+    lockWaiting: document.getElementById('lock-waiting'),
+    evictBtn: document.getElementById('evict-btn'),
+    evictDiscardBtn: document.getElementById('evict-discard-btn'),
+    clearBtn: document.getElementById('clear-btn'),
+    actionResult: document.getElementById('action-result'),
+
+    artifactText: document.getElementById('artifact-text'),
+    artifactCanvas: document.getElementById('artifact-canvas'),
+    artifactImage: document.getElementById('artifact-image'),
+    artifactEmpty: document.getElementById('artifact-empty'),
+    replaceForm: document.getElementById('replace-form'),
+    replaceText: document.getElementById('replace-text'),
+    clearContentBtn: document.getElementById('clear-content-btn'),
+
+    releasesBody: document.getElementById('releases-body'),
+    hotspotsBody: document.getElementById('hotspots-body')
+  };
+
+  // ============================================================
+  // API
+  // ============================================================
+
+  /**
+   * Call an admin endpoint with the secret header
+   * Resolves to `{ status, body }`; network failures become status 0.
+   */
+  async function adminRequest(method, path, payload) {
+    const headers = { 'x-admin-secret': state.secret };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    try {
+      const response = await fetch(path, {
+        method,
+        headers,
+        body: payload ? JSON.stringify(payload) : undefined
+      });
+      const body = await response.json().catch(() => ({}));
+      return { status: response.status, body };
+    } catch (err) {
+      return { status: 0, body: {} };
+    }
+  }
+
+  /**
+   * Explain a refused request, or return null if it wasn't an auth problem
+   */
+  function authProblem(result) {
+    if (result.status === 403) return 'Wrong secret.';
+    if (result.status === 404 && result.body.error === 'No such room') return `There is no room called "${ROOM}".`;
+    if (result.status === 404) return 'Admin routes are disabled on this server.';
+    if (result.status === 429) {
+      const minutes = Math.ceil((result.body.retryAfter || 60) / 60);
+      return `Too many failed attempts. Try again in ${minutes} min.`;
+    }
+    return null;
+  }
+
+  // ============================================================
+  // Formatting
+  // ============================================================
+
+  function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+  }
+
+  /**
+   * Replace a table body with rows of plain text cells
+   */
+  function fillTable(body, rows, emptyText) {
+    body.replaceChildren();
+
+    if (rows.length === 0) {
+      rows = [[emptyText]];
+    }
+
+    rows.forEach(cells => {
+      const tr = document.createElement('tr');
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+  }
+
+  // ============================================================
+  // Rendering
+  // ============================================================
+
+  function renderLock(data) {
+    const lock = data.lock;
+
+    elements.lockState.textContent = lock ? 'Occupied' : 'Vacant';
+    elements.lockSession.textContent = lock ? `${lock.sessionPrefix}…` : '—';
+    elements.lockSince.textContent = lock ? formatTime(lock.occupiedSince) : '—';
+    elements.lockHeartbeat.textContent = lock ? `${formatDuration(lock.heartbeatAgeMs)} ago` : '—';
+    elements.lockTimeout.textContent = lock ? formatDuration(lock.hardTimeoutInMs) : '—';
+    elements.lockWaiting.textContent = String(data.waiting);
+    elements.evictBtn.disabled = !lock;
+    elements.evictDiscardBtn.disabled = !lock;
+  }
+
+  /**
+   * Show the artifact on display as the next visitor would see it,
+   * without the replay
+   */
+  function renderArtifact(content) {
+    const drawing = content.drawing;
+
+    elements.artifactText.textContent = content.text || '';
+    elements.artifactCanvas.classList.add('hidden');
+    elements.artifactImage.classList.add('hidden');
+    elements.artifactEmpty.classList.toggle('hidden', Boolean(content.text || drawing));
+
+    if (typeof drawing === 'string') {
+      elements.artifactImage.src = drawing;
+      elements.artifactImage.classList.remove('hidden');
+    } else if (drawing && drawing.strokes) {
+      const canvas = elements.artifactCanvas;
+      const context = canvas.getContext('2d');
+      canvas.width = drawing.w;
+      canvas.height = drawing.h;
+      context.lineCap = 'round';
+      context.lineJoin = 'round';
+
+      drawing.strokes.forEach(stroke => {
+        const p = stroke.p;
+        context.strokeStyle = stroke.c;
+        context.lineWidth = stroke.s;
+        context.globalCompositeOperation = stroke.e ? 'destination-out' : 'source-over';
+        context.beginPath();
+        context.moveTo(p[0], p[1]);
+        for (let i = 0; i < p.length; i += 3) {
+          context.lineTo(p[i], p[i + 1]);
+        }
+        context.stroke();
+      });
+      canvas.classList.remove('hidden');
+    }
+  }
+
+  function render(data) {
+    elements.roomName.textContent = data.room.id;
+    elements.replaceText.maxLength = data.room.maxTextLength;
+    renderLock(data);
+    renderArtifact(data.content);
+
+    fillTable(elements.releasesBody, data.releases.map(release => [
+      formatTime(release.at),
+      release.reason.replace(/_/g, ' '),
+      formatDuration(release.durationMs)
+    ]), 'None since the server started.');
+
+    fillTable(elements.hotspotsBody, data.hotSpots.map(spot => [
+      spot.ip,
+      spot.action,
+      `${spot.count} / ${spot.limit}`
+    ]), 'Quiet.');
+
+    elements.updated.textContent = `Updated ${formatTime(data.now)}`;
+    elements.updated.classList.remove('error-text');
+  }
+
+  // ============================================================
+  // Polling
+  // ============================================================
+
+  async function refresh() {
+    const result = await adminRequest('GET', `${ADMIN_BASE}/status`);
+    const problem = authProblem(result);
+
+    if (problem) {
+      signOut(problem);
+      return;
+    }
+
+    if (result.status === 200) {
+      render(result.body);
+    } else {
+      elements.updated.textContent = result.status === 503
+        ? 'The store is unreachable. Retrying...'
+        : 'Could not reach the server. Retrying...';
+      elements.updated.classList.add('error-text');
+    }
+  }
+
+  function startPolling() {
+    stopPolling();
+    refresh();
+    state.pollTimer = setInterval(refresh, POLL_INTERVAL);
+  }
+
+  function stopPolling() {
+    if (state.pollTimer) {
+      clearInterval(state.pollTimer);
+      state.pollTimer = null;
+    }
+  }
+
+  // ============================================================
+  // Actions
+  // ============================================================
+
+  /**
+   * Run an admin action once, then refresh straight away
+   * Resolves to whether it worked.
+   */
+  async function runAction(method, path, payload, doneText) {
+    if (state.busy) return false;
+    state.busy = true;
+    elements.actionResult.textContent = 'Working...';
+
+    const result = await adminRequest(method, path, payload);
+    state.busy = false;
+
+    const problem = authProblem(result);
+    if (problem) {
+      signOut(problem);
+      return false;
+    }
+
+    if (result.status === 200) {
+      elements.actionResult.textContent = doneText;
+    } else if (result.body.reason === 'vacant') {
+      elements.actionResult.textContent = 'Nobody is inside.';
+    } else if (result.body.error) {
+      elements.actionResult.textContent = result.body.error;
+    } else {
+      elements.actionResult.textContent = 'That didn\'t work. Try again.';
+    }
+    refresh();
+    return result.status === 200;
+  }
+
+  function handleEvict(keepDraft) {
+    runAction('POST', `${ADMIN_BASE}/evict`, { draft: keepDraft ? 'commit' : 'discard' },
+      keepDraft ? 'Visit ended. Their draft was left behind.' : 'Visit ended. Their draft was discarded.');
+  }
+
+  function handleClearContent() {
+    runAction('POST', `${ADMIN_BASE}/content/clear`, null, 'Content cleared. The visit goes on.');
+  }
+
+  async function handleReplace(e) {
+    e.preventDefault();
+    const done = await runAction('PUT', `${ADMIN_BASE}/content`, { text: elements.replaceText.value.trim() },
+      'Your message is on display.');
+    if (done) {
+      elements.replaceText.value = '';
+    }
+  }
+
+  function handleClear() {
+    if (!confirm('End the visit and wipe the content on display?')) return;
+    runAction('POST', `${ADMIN_BASE}/clear`, null, 'Room cleared.');
+  }
+
+  // ============================================================
+  // Sign in
+  // ============================================================
+
+  function signIn(secret) {
+    state.secret = secret;
+    sessionStorage.setItem(SECRET_KEY, secret);
+    elements.signin.classList.add('hidden');
+    elements.main.classList.remove('hidden');
+    elements.signinError.classList.add('hidden');
+    startPolling();
+  }
+
+  function signOut(message) {
+    stopPolling();
+    state.secret = null;
+    sessionStorage.removeItem(SECRET_KEY);
+    elements.main.classList.add('hidden');
+    elements.signin.classList.remove('hidden');
+    elements.secretInput.value = '';
+
+    if (message) {
+      elements.signinError.textContent = message;
+      elements.signinError.classList.remove('hidden');
+    }
+  }
+
+  // ============================================================
+  // Initialize
+  // ============================================================
+
+  elements.signinForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    signIn(elements.secretInput.value);
+  });
+  elements.signoutBtn.addEventListener('click', () => signOut());
+  elements.evictBtn.addEventListener('click', () => handleEvict(true));
+  elements.evictDiscardBtn.addEventListener('click', () => handleEvict(false));
+  elements.clearContentBtn.addEventListener('click', handleClearContent);
+  elements.replaceForm.addEventListener('submit', handleReplace);
+  elements.clearBtn.addEventListener('click', handleClear);
+
+  if (state.secret) {
+    signIn(state.secret);
+  }
+})();
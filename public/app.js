@@ -11,13 +11,42 @@
   // State
   // ============================================================
   
+  // Named rooms live at /r/<room>; the default room at /
+  const ROOM_PATH = location.pathname.match(/^\/r\/([a-z0-9-]+)\/?$/);
+  const API_BASE = ROOM_PATH ? `/api/rooms/${ROOM_PATH[1]}` : '/api';
+  
   const state = {
     sessionId: null,
     heartbeatInterval: null,
+    statusRetryTimer: null,
+    ticket: null,
+    queuePollTimer: null,
+    ticketResumeAt: 0,
+    heartbeatResumeAt: 0,
+    statusStream: null,
+    streamRetryTimer: null,
+    presence: null,
+    replayFrame: null,
+    leaseDeadline: null,
+    countdownTimer: null,
+    draftTimer: null,
+    draftRevision: 0,
+    savedDraftRevision: 0,
+    pendingDraftRevision: 0,
     isInRoom: false,
+    isLeaving: false,
+    leaveBeaconSent: false,
+    notifyWhenVacant: false,
     config: {
       heartbeatInterval: 12000,
-      maxTextLength: 500
+      leaseWarningAt: 60000,
+      leaseFinalAt: 15000,
+      maxTextLength: 500,
+      drawingEnabled: true,
+      canvasWidth: 400,
+      canvasHeight: 200,
+      queuePollInterval: 8000,
+      presencePath: null
     }
   };
 
@@ -34,15 +63,33 @@
     statusLoading: document.getElementById('status-loading'),
     statusVacant: document.getElementById('status-vacant'),
     statusOccupied: document.getElementById('status-occupied'),
+    statusQueued: document.getElementById('status-queued'),
+    statusUnavailable: document.getElementById('status-unavailable'),
     statusError: document.getElementById('status-error'),
+    occupiedText: document.getElementById('occupied-text'),
     occupiedTime: document.getElementById('occupied-time'),
+    queuePosition: document.getElementById('queue-position'),
+    queueWait: document.getElementById('queue-wait'),
+    unavailableNote: document.getElementById('unavailable-note'),
     
     // Buttons
     enterBtn: document.getElementById('enter-btn'),
     retryBtn: document.getElementById('retry-btn'),
+    unavailableRetryBtn: document.getElementById('unavailable-retry-btn'),
+    joinLineBtn: document.getElementById('join-line-btn'),
+    leaveLineBtn: document.getElementById('leave-line-btn'),
+    notifyBtn: document.getElementById('notify-btn'),
+    notifyNote: document.getElementById('notify-note'),
     leaveBtn: document.getElementById('leave-btn'),
+    leaseTime: document.getElementById('lease-time'),
+    leaseWarning: document.getElementById('lease-warning'),
     toggleCanvas: document.getElementById('toggle-canvas'),
     clearCanvas: document.getElementById('clear-canvas'),
+    undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    eraserBtn: document.getElementById('eraser-btn'),
+    palette: document.getElementById('palette'),
+    brushSizes: document.getElementById('brush-sizes'),
     terminatedOk: document.getElementById('terminated-ok'),
     
     // Content display
@@ -54,12 +101,17 @@
     textInput: document.getElementById('text-input'),
     charCurrent: document.getElementById('char-current'),
     charMax: document.getElementById('char-max'),
+    textError: document.getElementById('text-error'),
+    canvasSection: document.getElementById('canvas-section'),
     canvasContainer: document.getElementById('canvas-container'),
     drawingCanvas: document.getElementById('drawing-canvas'),
+    canvasError: document.getElementById('canvas-error'),
     
     // Overlays
     leavingOverlay: document.getElementById('leaving-overlay'),
-    terminatedOverlay: document.getElementById('terminated-overlay')
+    leavingText: document.getElementById('leaving-text'),
+    terminatedOverlay: document.getElementById('terminated-overlay'),
+    terminatedNote: document.getElementById('terminated-note')
   };
 
   // ============================================================
@@ -72,9 +124,30 @@
   let lastX = 0;
   let lastY = 0;
 
+  // Recorded strokes, sent instead of a flattened image
+  // Format: { c: colour, s: line width, p: [x, y, t, x, y, t, ...], e: 1 if eraser }
+  let strokes = [];
+  let undoneStrokes = [];
+  let currentStroke = null;
+  let drawingStartedAt = null;
+
+  const STROKE_FORMAT_VERSION = 1;
+
+  // Current tool
+  const tool = {
+    color: '#1a1a1a',
+    size: 2,
+    erasing: false
+  };
+
+  // The eraser is wider than the pen at the same size setting
+  const ERASER_SCALE = 4;
+
+  // Replay pacing for the previous visitor's drawing
+  const REPLAY_MAX_GAP = 400;       // Long pauses between strokes are shortened
+  const REPLAY_MAX_DURATION = 8000; // Long drawings play faster
+
   function setupCanvas() {
-    ctx.strokeStyle = '#1a1a1a';
-    ctx.lineWidth = 2;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
     
@@ -90,6 +163,23 @@
     canvas.addEventListener('touchend', stopDrawing);
   }
 
+  /**
+   * Match the canvas to the size the server accepts
+   * Resizing wipes a canvas, so this only happens before drawing starts.
+   */
+  function setCanvasSize(width, height) {
+    if (canvas.width === width && canvas.height === height) return;
+    
+    canvas.width = width;
+    canvas.height = height;
+    canvas.style.maxWidth = `${width}px`;
+    canvas.style.aspectRatio = `${width} / ${height}`;
+    
+    // A resized canvas forgets its line settings
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+  }
+
   function getCanvasCoords(e) {
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
@@ -107,11 +197,49 @@
     };
   }
 
+  function recordPoint(x, y) {
+    const t = Math.round(performance.now() - drawingStartedAt);
+    currentStroke.p.push(
+      Math.round(Math.min(Math.max(x, 0), canvas.width)),
+      Math.round(Math.min(Math.max(y, 0), canvas.height)),
+      t
+    );
+  }
+
+  /**
+   * Set a context up to draw a stroke: colour, width, and eraser mode
+   */
+  function applyStrokeStyle(context, stroke) {
+    context.strokeStyle = stroke.c;
+    context.lineWidth = stroke.s;
+    context.globalCompositeOperation = stroke.e ? 'destination-out' : 'source-over';
+  }
+
   function startDrawing(e) {
     isDrawing = true;
     const coords = getCanvasCoords(e);
     lastX = coords.x;
     lastY = coords.y;
+    
+    if (drawingStartedAt === null) {
+      drawingStartedAt = performance.now();
+    }
+    
+    currentStroke = tool.erasing
+      ? { c: tool.color, s: tool.size * ERASER_SCALE, p: [], e: 1 }
+      : { c: tool.color, s: tool.size, p: [] };
+    strokes.push(currentStroke);
+    undoneStrokes = [];
+    recordPoint(coords.x, coords.y);
+    
+    // A tap leaves a dot
+    applyStrokeStyle(ctx, currentStroke);
+    ctx.beginPath();
+    ctx.moveTo(coords.x, coords.y);
+    ctx.lineTo(coords.x, coords.y);
+    ctx.stroke();
+    
+    updateHistoryButtons();
   }
 
   function draw(e) {
@@ -119,17 +247,25 @@
     
     const coords = getCanvasCoords(e);
     
+    // Skip sub-pixel moves to keep the stroke data compact
+    if (Math.abs(coords.x - lastX) < 1 && Math.abs(coords.y - lastY) < 1) return;
+    
     ctx.beginPath();
     ctx.moveTo(lastX, lastY);
     ctx.lineTo(coords.x, coords.y);
     ctx.stroke();
     
+    recordPoint(coords.x, coords.y);
     lastX = coords.x;
     lastY = coords.y;
   }
 
   function stopDrawing() {
+    if (currentStroke) {
+      markDraftChanged();
+    }
     isDrawing = false;
+    currentStroke = null;
   }
 
   function handleTouchStart(e) {
@@ -144,24 +280,403 @@
 
   function clearDrawingCanvas() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    strokes = [];
+    undoneStrokes = [];
+    currentStroke = null;
+    drawingStartedAt = null;
+    markDraftChanged();
+    updateHistoryButtons();
+  }
+
+  /**
+   * Paint a list of strokes onto a context in one go
+   */
+  function paintStrokes(context, list) {
+    list.forEach(stroke => {
+      const p = stroke.p;
+      applyStrokeStyle(context, stroke);
+      context.beginPath();
+      context.moveTo(p[0], p[1]);
+      for (let i = 0; i < p.length; i += 3) {
+        context.lineTo(p[i], p[i + 1]);
+      }
+      context.stroke();
+    });
+  }
+
+  function redrawCanvas() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    paintStrokes(ctx, strokes);
+  }
+
+  function undoStroke() {
+    if (isDrawing || strokes.length === 0) return;
+    undoneStrokes.push(strokes.pop());
+    redrawCanvas();
+    markDraftChanged();
+    updateHistoryButtons();
+  }
+
+  function redoStroke() {
+    if (isDrawing || undoneStrokes.length === 0) return;
+    strokes.push(undoneStrokes.pop());
+    redrawCanvas();
+    markDraftChanged();
+    updateHistoryButtons();
+  }
+
+  function updateHistoryButtons() {
+    elements.undoBtn.disabled = strokes.length === 0;
+    elements.redoBtn.disabled = undoneStrokes.length === 0;
+  }
+
+  /**
+   * Mark one button in a tool group as the active one
+   */
+  function selectInGroup(group, button) {
+    group.querySelectorAll('button').forEach(b => {
+      const active = b === button;
+      b.classList.toggle('active', active);
+      b.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  function setEraser(erasing) {
+    tool.erasing = erasing;
+    elements.eraserBtn.setAttribute('aria-pressed', String(erasing));
+  }
+
+  function setupDrawingTools() {
+    elements.palette.addEventListener('click', (e) => {
+      const swatch = e.target.closest('[data-color]');
+      if (!swatch) return;
+      tool.color = swatch.dataset.color;
+      selectInGroup(elements.palette, swatch);
+      setEraser(false);
+    });
+    
+    elements.brushSizes.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-size]');
+      if (!button) return;
+      tool.size = Number(button.dataset.size);
+      selectInGroup(elements.brushSizes, button);
+    });
+    
+    elements.eraserBtn.addEventListener('click', () => setEraser(!tool.erasing));
+    elements.undoBtn.addEventListener('click', undoStroke);
+    elements.redoBtn.addEventListener('click', redoStroke);
+    
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+    // The text box keeps its own undo history
+    document.addEventListener('keydown', (e) => {
+      if (!state.isInRoom || elements.canvasContainer.classList.contains('hidden')) return;
+      if (e.target === elements.textInput) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoStroke();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoStroke();
+      }
+    });
   }
 
   function getDrawingData() {
-    // Check if canvas has any drawing
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const hasDrawing = imageData.data.some((val, i) => i % 4 === 3 && val > 0);
+    if (strokes.length === 0) return null;
+    
+    return {
+      v: STROKE_FORMAT_VERSION,
+      w: canvas.width,
+      h: canvas.height,
+      strokes
+    };
+  }
+
+  /**
+   * Lay strokes out on one timeline, shortening long pauses and
+   * speeding up long drawings so the replay stays brief
+   */
+  function buildReplayTimeline(drawing) {
+    const segments = [];
+    let clock = 0;
+    let previousEnd = null;
+    
+    drawing.strokes.forEach(stroke => {
+      const p = stroke.p;
+      const start = p[2];
+      
+      if (previousEnd !== null) {
+        clock += Math.min(Math.max(start - previousEnd, 0), REPLAY_MAX_GAP);
+      }
+      
+      // A single point still shows up as a dot
+      if (p.length === 3) {
+        segments.push({ stroke, x0: p[0], y0: p[1], x1: p[0], y1: p[1], at: clock });
+      }
+      
+      for (let i = 3; i < p.length; i += 3) {
+        clock += Math.max(p[i + 2] - p[i - 1], 0);
+        segments.push({ stroke, x0: p[i - 3], y0: p[i - 2], x1: p[i], y1: p[i + 1], at: clock });
+      }
+      
+      previousEnd = p[p.length - 1];
+    });
+    
+    const scale = clock > REPLAY_MAX_DURATION ? REPLAY_MAX_DURATION / clock : 1;
+    segments.forEach(segment => { segment.at *= scale; });
+    
+    return segments;
+  }
+
+  /**
+   * Redraw the previous visitor's drawing stroke by stroke
+   */
+  function replayDrawing(drawing) {
+    const target = elements.previousCanvas;
+    const pctx = target.getContext('2d');
+    
+    target.width = drawing.w;
+    target.height = drawing.h;
+    pctx.lineCap = 'round';
+    pctx.lineJoin = 'round';
+    target.classList.remove('hidden');
+    
+    const segments = buildReplayTimeline(drawing);
+    let next = 0;
+    let startedAt = null;
+    
+    function frame(now) {
+      if (startedAt === null) startedAt = now;
+      const elapsed = now - startedAt;
+      
+      while (next < segments.length && segments[next].at <= elapsed) {
+        const segment = segments[next];
+        applyStrokeStyle(pctx, segment.stroke);
+        pctx.beginPath();
+        pctx.moveTo(segment.x0, segment.y0);
+        pctx.lineTo(segment.x1, segment.y1);
+        pctx.stroke();
+        next++;
+      }
+      
+      if (next < segments.length) {
+        state.replayFrame = requestAnimationFrame(frame);
+      }
+    }
     
-    if (!hasDrawing) return null;
-    return canvas.toDataURL('image/png');
+    state.replayFrame = requestAnimationFrame(frame);
+  }
+
+  // ============================================================
+  // Draft Autosave
+  // ============================================================
+  
+  // Drafts ride along with heartbeats (or the presence socket) whenever
+  // they've changed, so a visit cut off by the time limit isn't lost
+
+  function markDraftChanged() {
+    state.draftRevision++;
+  }
+
+  function hasUnsavedDraft() {
+    return state.draftRevision !== state.savedDraftRevision;
+  }
+
+  function currentDraft() {
+    return {
+      text: elements.textInput.value.trim(),
+      drawing: getDrawingData()
+    };
+  }
+
+  function resetDraft() {
+    state.draftRevision = 0;
+    state.savedDraftRevision = 0;
+    state.pendingDraftRevision = 0;
+  }
+
+  // ============================================================
+  // Page Close
+  // ============================================================
+  
+  // Beacons are sent as text/plain JSON, which the server accepts and
+  // which every browser allows. They're capped at about 64KB; if the
+  // full content doesn't fit, the server falls back to the last draft.
+
+  // The page can't tell a reload from a close, so the beacon asks the
+  // server to hold the visit briefly (`unloading`) rather than end it
+
+  function sendLeaveBeacon() {
+    if (!state.isInRoom || state.leaveBeaconSent) return;
+    state.leaveBeaconSent = true;
+    stashDraft();
+    
+    const sent = navigator.sendBeacon(`${API_BASE}/leave`, JSON.stringify({
+      sessionId: state.sessionId,
+      content: currentDraft(),
+      unloading: true
+    }));
+    
+    if (!sent) {
+      navigator.sendBeacon(`${API_BASE}/leave`, JSON.stringify({ sessionId: state.sessionId, unloading: true }));
+    }
+  }
+
+  function sendHeartbeatBeacon() {
+    const sent = navigator.sendBeacon(`${API_BASE}/heartbeat`, JSON.stringify({
+      sessionId: state.sessionId,
+      content: currentDraft()
+    }));
+    
+    if (!sent) {
+      sendHeartbeat();
+    }
+  }
+
+  /**
+   * The page came back after its leave beacon went out and couldn't
+   * resume: the visit is over
+   */
+  function resetAfterBeacon() {
+    stopHeartbeat();
+    stopCountdown();
+    closePresence();
+    forgetVisit();
+    state.isInRoom = false;
+    state.sessionId = null;
+    state.leaveBeaconSent = false;
+    
+    elements.textInput.value = '';
+    elements.charCurrent.textContent = '0';
+    clearDrawingCanvas();
+    resetDraft();
+    showLanding();
+    refreshStatus();
+  }
+
+  // ============================================================
+  // Resuming After a Reload
+  // ============================================================
+  
+  // The resume token and an unload-time copy of the draft live in
+  // sessionStorage, which survives a reload but not closing the tab
+  
+  const VISIT_KEY = `room-visit:${API_BASE}`;
+
+  function readVisit() {
+    try {
+      return JSON.parse(sessionStorage.getItem(VISIT_KEY));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writeVisit(visit) {
+    try {
+      sessionStorage.setItem(VISIT_KEY, JSON.stringify(visit));
+    } catch (err) {
+      // Storage full or blocked: a reload just won't resume
+    }
+  }
+
+  function rememberVisit(resumeToken) {
+    if (resumeToken) {
+      writeVisit({ resumeToken, draft: null });
+    }
+  }
+
+  function forgetVisit() {
+    try {
+      sessionStorage.removeItem(VISIT_KEY);
+    } catch (err) {
+      // Nothing to forget
+    }
+  }
+
+  function stashDraft() {
+    const visit = readVisit();
+    if (visit) {
+      writeVisit({ ...visit, draft: { text: elements.textInput.value, strokes } });
+    }
+  }
+
+  /**
+   * Put back the text and drawing the page had when it unloaded
+   */
+  function restoreDraft(draft) {
+    elements.textInput.value = (draft.text || '').slice(0, state.config.maxTextLength);
+    updateCharCount();
+    
+    if (Array.isArray(draft.strokes) && draft.strokes.length > 0 && state.config.drawingEnabled) {
+      strokes = draft.strokes;
+      undoneStrokes = [];
+      
+      // Carry on the drawing's timeline so the replay stays in order
+      const lastPoints = strokes[strokes.length - 1].p;
+      drawingStartedAt = performance.now() - (lastPoints[lastPoints.length - 1] || 0);
+      
+      redrawCanvas();
+      updateHistoryButtons();
+      elements.canvasContainer.classList.remove('hidden');
+      elements.toggleCanvas.textContent = '− Hide drawing';
+    }
+    
+    // Send it with the next heartbeat, so the server has it again
+    markDraftChanged();
+  }
+
+  /**
+   * Pick the visit back up if this tab was inside and the lease is still
+   * good. Resolves to whether it worked.
+   */
+  async function resumeVisit() {
+    const visit = readVisit();
+    if (!visit) return false;
+    
+    const result = await resumeRoom(visit.resumeToken);
+    if (!result.success) {
+      // An unreachable or busy store may only be a blip; keep the token for another reload
+      if (!result.degraded && !result.busy) forgetVisit();
+      return false;
+    }
+    
+    startVisit(result);
+    if (visit.draft) {
+      restoreDraft(visit.draft);
+    }
+    return true;
+  }
+
+  // How many times to try leaving while the room is unreachable
+  const LEAVE_ATTEMPTS = 3;
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   // ============================================================
   // API Functions
   // ============================================================
   
+  /**
+   * Parse an API response, flagging a 429 with how long to hold off
+   * Retry-After is the server's answer; the body carries the same number.
+   */
+  async function readResult(response) {
+    const result = await response.json();
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('Retry-After')) || result.retryAfter || 5;
+      return { ...result, rateLimited: true, retryAfter };
+    }
+    return result;
+  }
+  
   async function checkStatus() {
     try {
-      const response = await fetch('/api/status');
+      const response = await fetch(`${API_BASE}/status`);
       return await response.json();
     } catch (err) {
       console.error('Status check failed:', err);
@@ -171,31 +686,92 @@
 
   async function enterRoom() {
     try {
-      const response = await fetch('/api/enter', {
+      const response = await fetch(`${API_BASE}/enter`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ticket: state.ticket })
       });
-      return await response.json();
+      return await readResult(response);
     } catch (err) {
       console.error('Enter failed:', err);
       return { success: false, error: 'Network error' };
     }
   }
 
+  async function resumeRoom(resumeToken) {
+    try {
+      const response = await fetch(`${API_BASE}/resume`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ resumeToken })
+      });
+      return await readResult(response);
+    } catch (err) {
+      console.error('Resume failed:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  async function joinQueue() {
+    try {
+      const response = await fetch(`${API_BASE}/queue`, { method: 'POST' });
+      return await readResult(response);
+    } catch (err) {
+      console.error('Joining the line failed:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  async function checkTicket() {
+    try {
+      const response = await fetch(`${API_BASE}/queue/${encodeURIComponent(state.ticket)}`);
+      return await readResult(response);
+    } catch (err) {
+      console.error('Ticket check failed:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  function leaveQueue(ticket) {
+    fetch(`${API_BASE}/queue/${encodeURIComponent(ticket)}`, {
+      method: 'DELETE',
+      keepalive: true
+    }).catch(err => console.error('Leaving the line failed:', err));
+  }
+
   async function sendHeartbeat() {
     if (!state.sessionId) return;
     
+    // Told to slow down: skip beats until the server is ready for more
+    if (Date.now() < state.heartbeatResumeAt) return;
+    
+    const revision = state.draftRevision;
+    const body = { sessionId: state.sessionId };
+    if (hasUnsavedDraft()) {
+      body.content = currentDraft();
+    }
+    
     try {
-      const response = await fetch('/api/heartbeat', {
+      const response = await fetch(`${API_BASE}/heartbeat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ sessionId: state.sessionId })
+        body: JSON.stringify(body)
       });
       
-      const result = await response.json();
+      const result = await readResult(response);
       
-      if (!result.success && result.terminated) {
+      if (result.rateLimited) {
+        state.heartbeatResumeAt = Date.now() + result.retryAfter * 1000;
+      } else if (!result.success && result.terminated) {
         handleTermination();
+      } else if (result.success) {
+        syncLease(result.remainingMs);
+        if (body.content && !result.draftError) {
+          state.savedDraftRevision = revision;
+        }
+        if (result.closing) {
+          handleClosing();
+        }
       }
     } catch (err) {
       console.error('Heartbeat failed:', err);
@@ -212,7 +788,7 @@
     };
     
     try {
-      await fetch('/api/leave', {
+      const response = await fetch(`${API_BASE}/leave`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
@@ -220,8 +796,10 @@
           content 
         })
       });
+      return await response.json();
     } catch (err) {
       console.error('Leave failed:', err);
+      return { success: false, error: 'Network error' };
     }
   }
 
@@ -233,6 +811,8 @@
     elements.statusLoading.classList.add('hidden');
     elements.statusVacant.classList.add('hidden');
     elements.statusOccupied.classList.add('hidden');
+    elements.statusQueued.classList.add('hidden');
+    elements.statusUnavailable.classList.add('hidden');
     elements.statusError.classList.add('hidden');
     
     switch (statusType) {
@@ -245,20 +825,95 @@
       case 'occupied':
         elements.statusOccupied.classList.remove('hidden');
         break;
+      case 'queued':
+        elements.statusQueued.classList.remove('hidden');
+        break;
+      case 'unavailable':
+        elements.statusUnavailable.classList.remove('hidden');
+        break;
       case 'error':
         elements.statusError.classList.remove('hidden');
         break;
     }
   }
 
+  /**
+   * The store is down: say so, and check again after the server's hint
+   */
+  function showUnavailable(retryAfter) {
+    const seconds = retryAfter || 5;
+    
+    showStatus('unavailable');
+    elements.unavailableNote.textContent = `Trying again in ${seconds}s.`;
+    
+    clearTimeout(state.statusRetryTimer);
+    state.statusRetryTimer = setTimeout(refreshStatus, seconds * 1000);
+  }
+
+  /**
+   * Rate limited: keep a button disabled, counting down, until the server's
+   * Retry-After has passed
+   */
+  function holdButton(button, seconds, onReady) {
+    const label = button.textContent;
+    let remaining = seconds;
+
+    button.disabled = true;
+    button.textContent = `Wait ${remaining}s`;
+
+    const timer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        button.textContent = `Wait ${remaining}s`;
+        return;
+      }
+
+      clearInterval(timer);
+      button.disabled = false;
+      button.textContent = label;
+      if (onReady) onReady();
+    }, 1000);
+  }
+
+  function ordinal(n) {
+    const suffixes = ['th', 'st', 'nd', 'rd'];
+    const v = n % 100;
+    return n + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+  }
+
+  function showQueuePosition(result) {
+    showStatus('queued');
+    
+    if (result.yourTurn) {
+      elements.queuePosition.textContent = "It's your turn.";
+      elements.queueWait.textContent = 'Stepping in...';
+      return;
+    }
+    
+    elements.queuePosition.textContent = result.position === 1
+      ? 'You are next in line.'
+      : `You are ${ordinal(result.position)} in line.`;
+    
+    if (result.estimatedWait === undefined) {
+      elements.queueWait.textContent = '';
+    } else if (result.estimatedWait < 60000) {
+      elements.queueWait.textContent = 'Less than a minute.';
+    } else {
+      const minutes = Math.ceil(result.estimatedWait / 60000);
+      elements.queueWait.textContent = `At most about ${minutes} minutes.`;
+    }
+  }
+
   function showLanding() {
     elements.landing.classList.remove('hidden');
     elements.room.classList.add('hidden');
+    openStatusStream();
   }
 
   function showRoom() {
     elements.landing.classList.add('hidden');
     elements.room.classList.remove('hidden');
+    closeStatusStream();
   }
 
   function displayPreviousContent(content) {
@@ -281,7 +936,12 @@
       elements.previousText.classList.add('hidden');
     }
     
-    if (hasDrawing) {
+    cancelAnimationFrame(state.replayFrame);
+    
+    if (hasDrawing && typeof content.drawing === 'object') {
+      replayDrawing(content.drawing);
+    } else if (hasDrawing) {
+      // PNG saved before stroke drawings existed
       const img = new Image();
       img.onload = () => {
         const pctx = elements.previousCanvas.getContext('2d');
@@ -303,11 +963,91 @@
 
   function handleTermination() {
     stopHeartbeat();
+    stopCountdown();
+    closePresence();
+    forgetVisit();
     state.isInRoom = false;
     state.sessionId = null;
+    
+    // The server leaves the last autosaved draft behind for the next visitor
+    elements.terminatedNote.textContent = state.savedDraftRevision > 0
+      ? 'What you left was saved for the next visitor.'
+      : '';
     elements.terminatedOverlay.classList.remove('hidden');
   }
 
+  /**
+   * The server is shutting down: leave now, so what was written is kept
+   */
+  function handleClosing() {
+    if (!state.isInRoom || state.isLeaving) return;
+    
+    elements.leavingText.textContent = 'The room is closing. Leaving what you wrote...';
+    handleLeave();
+  }
+
+  // ============================================================
+  // Lease Countdown
+  // ============================================================
+  
+  /**
+   * The first quiet warning, worded for the server's warning threshold
+   */
+  function leaseWarningText() {
+    const minutes = Math.round(state.config.leaseWarningAt / 60000);
+    if (minutes > 1) return `About ${minutes} minutes left.`;
+    if (minutes === 1) return 'About a minute left.';
+    return `About ${Math.round(state.config.leaseWarningAt / 1000)} seconds left.`;
+  }
+
+  /**
+   * Re-anchor the countdown on the server's remaining time
+   * Uses the remaining duration, not the deadline, so a skewed local
+   * clock can't shift it.
+   */
+  function syncLease(remainingMs) {
+    if (typeof remainingMs !== 'number') return;
+    state.leaseDeadline = Date.now() + remainingMs;
+    renderCountdown();
+  }
+
+  function renderCountdown() {
+    if (state.leaseDeadline === null) return;
+    
+    const remaining = Math.max(0, state.leaseDeadline - Date.now());
+    const seconds = Math.ceil(remaining / 1000);
+    const lease = elements.leaseTime.parentElement;
+    
+    elements.leaseTime.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    lease.classList.toggle('warning', remaining <= state.config.leaseWarningAt);
+    lease.classList.toggle('final', remaining <= state.config.leaseFinalAt);
+    
+    // Only change the announced text when crossing a threshold
+    const warning = remaining <= state.config.leaseFinalAt
+      ? 'Your time is almost up.'
+      : remaining <= state.config.leaseWarningAt
+        ? leaseWarningText()
+        : '';
+    if (elements.leaseWarning.textContent !== warning) {
+      elements.leaseWarning.textContent = warning;
+    }
+  }
+
+  function startCountdown(remainingMs) {
+    stopCountdown();
+    syncLease(remainingMs);
+    state.countdownTimer = setInterval(renderCountdown, 1000);
+  }
+
+  function stopCountdown() {
+    clearInterval(state.countdownTimer);
+    state.countdownTimer = null;
+    state.leaseDeadline = null;
+    elements.leaseTime.textContent = '';
+    elements.leaseWarning.textContent = '';
+    elements.leaseTime.parentElement.classList.remove('warning', 'final');
+  }
+
   // ============================================================
   // Session Management
   // ============================================================
@@ -329,6 +1069,70 @@
     }
   }
 
+  /**
+   * Hold the lease over a WebSocket, if the server offers one
+   * Heartbeats run until the socket is ready and take over if it drops.
+   */
+  function openPresence() {
+    if (!state.config.presencePath || !window.WebSocket) return;
+    
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(
+      `${protocol}//${location.host}${state.config.presencePath}` +
+      `?sessionId=${encodeURIComponent(state.sessionId)}`
+    );
+    
+    socket.onmessage = (e) => {
+      const message = JSON.parse(e.data);
+      
+      if (message.type === 'ready') {
+        stopHeartbeat();
+        state.draftTimer = setInterval(sendPresenceDraft, state.config.heartbeatInterval);
+      } else if (message.type === 'lease') {
+        syncLease(message.remainingMs);
+      } else if (message.type === 'draft') {
+        if (message.saved) {
+          state.savedDraftRevision = state.pendingDraftRevision;
+        }
+      } else if (message.type === 'terminated' && !state.isLeaving) {
+        handleTermination();
+      } else if (message.type === 'closing') {
+        handleClosing();
+      }
+    };
+    
+    socket.onclose = () => {
+      clearInterval(state.draftTimer);
+      if (state.presence !== socket) return;
+      state.presence = null;
+      
+      // Back to heartbeats; the next one reports whether the lease survived
+      if (state.isInRoom && !state.isLeaving) {
+        startHeartbeat();
+        sendHeartbeat();
+      }
+    };
+    
+    state.presence = socket;
+  }
+
+  function closePresence() {
+    const socket = state.presence;
+    if (!socket) return;
+    
+    clearInterval(state.draftTimer);
+    state.presence = null;
+    socket.close(1000);
+  }
+
+  function sendPresenceDraft() {
+    const socket = state.presence;
+    if (!socket || socket.readyState !== WebSocket.OPEN || !hasUnsavedDraft()) return;
+    
+    state.pendingDraftRevision = state.draftRevision;
+    socket.send(JSON.stringify({ type: 'draft', content: currentDraft() }));
+  }
+
   async function handleEnter() {
     elements.enterBtn.disabled = true;
     elements.enterBtn.textContent = 'Entering...';
@@ -336,53 +1140,223 @@
     const result = await enterRoom();
     
     if (result.success) {
-      state.sessionId = result.sessionId;
-      state.isInRoom = true;
+      state.ticket = null;
+      startVisit(result);
+    } else {
+      elements.enterBtn.disabled = false;
+      elements.enterBtn.textContent = 'Enter the Room';
       
-      if (result.config) {
-        state.config = { ...state.config, ...result.config };
-        elements.charMax.textContent = state.config.maxTextLength;
-        elements.textInput.maxLength = state.config.maxTextLength;
+      if (result.rateLimited && state.ticket) {
+        state.ticketResumeAt = Date.now() + result.retryAfter * 1000;
+        pollTicket();
+        return;
       }
       
-      displayPreviousContent(result.content || {});
-      showRoom();
-      startHeartbeat();
+      if (result.rateLimited) {
+        holdButton(elements.enterBtn, result.retryAfter, refreshStatus);
+        return;
+      }
       
-      elements.textInput.focus();
-    } else {
-      elements.enterBtn.disabled = false;
-      elements.enterBtn.textContent = 'Enter the Room';
+      if (result.degraded) {
+        showUnavailable(result.retryAfter);
+        return;
+      }
+      
+      // Still holding a ticket: keep our place and wait to be called again
+      if (state.ticket) {
+        pollTicket();
+        return;
+      }
       
       // Room might have become occupied
       refreshStatus();
     }
   }
 
+  /**
+   * Step into the room with an /api/enter (or /api/resume) response
+   */
+  function startVisit(result) {
+    state.sessionId = result.sessionId;
+    state.isInRoom = true;
+    state.leaveBeaconSent = false;
+    resetDraft();
+    rememberVisit(result.resumeToken);
+    setNotifyWhenVacant(false);
+    
+    if (result.config) {
+      state.config = { ...state.config, ...result.config };
+      elements.charMax.textContent = state.config.maxTextLength;
+      elements.textInput.maxLength = state.config.maxTextLength;
+      elements.canvasSection.classList.toggle('hidden', !state.config.drawingEnabled);
+      setCanvasSize(state.config.canvasWidth, state.config.canvasHeight);
+    }
+    
+    displayPreviousContent(result.content || {});
+    showRoom();
+    startHeartbeat();
+    startCountdown(result.remainingMs);
+    openPresence();
+    
+    elements.textInput.focus();
+  }
+
+  async function handleJoinLine() {
+    elements.joinLineBtn.disabled = true;
+    const result = await joinQueue();
+    elements.joinLineBtn.disabled = false;
+    
+    if (!result.success) {
+      if (result.rateLimited) {
+        holdButton(elements.joinLineBtn, result.retryAfter);
+      } else if (result.degraded) {
+        showUnavailable(result.retryAfter);
+      } else {
+        refreshStatus();
+      }
+      return;
+    }
+    
+    state.ticket = result.ticket;
+    setNotifyWhenVacant(false);
+    if (result.config) {
+      state.config.queuePollInterval = result.config.pollInterval;
+    }
+    
+    showQueuePosition({ position: result.position });
+    state.queuePollTimer = setTimeout(pollTicket, state.config.queuePollInterval);
+  }
+
+  async function pollTicket() {
+    clearTimeout(state.queuePollTimer);
+    if (!state.ticket) return;
+    
+    // Rate limited: wait as long as the server asked, even if the line moved
+    const holdFor = state.ticketResumeAt - Date.now();
+    if (holdFor > 0) {
+      state.queuePollTimer = setTimeout(pollTicket, holdFor);
+      return;
+    }
+    
+    const result = await checkTicket();
+    
+    // Left the line while the request was in flight
+    if (!state.ticket) return;
+    
+    if (result.rateLimited) {
+      state.ticketResumeAt = Date.now() + result.retryAfter * 1000;
+    }
+    
+    if (result.expired) {
+      state.ticket = null;
+      refreshStatus();
+      return;
+    }
+    
+    if (result.success) {
+      showQueuePosition(result);
+      
+      if (result.yourTurn) {
+        handleEnter();
+        return;
+      }
+    }
+    
+    // Network or store hiccups: keep the ticket and try again
+    state.queuePollTimer = setTimeout(pollTicket, state.config.queuePollInterval);
+  }
+
+  function handleLeaveLine() {
+    clearTimeout(state.queuePollTimer);
+    
+    if (state.ticket) {
+      leaveQueue(state.ticket);
+      state.ticket = null;
+    }
+    
+    refreshStatus();
+  }
+
   async function handleLeave() {
     if (!state.isInRoom) return;
     
     elements.leavingOverlay.classList.remove('hidden');
+    elements.canvasError.classList.add('hidden');
+    elements.textError.classList.add('hidden');
+    state.isLeaving = true;
     stopHeartbeat();
     
-    await leaveRoom();
+    let result = await leaveRoom();
+    
+    // The store may be back (or less busy) in a few seconds; don't give up on the content yet
+    for (let attempt = 1; (result.degraded || result.busy) && attempt < LEAVE_ATTEMPTS; attempt++) {
+      elements.leavingText.textContent = result.busy
+        ? 'The room is busy. Trying again...'
+        : 'The room is unreachable. Trying again...';
+      await wait((result.retryAfter || 5) * 1000);
+      result = await leaveRoom();
+    }
     
+    // The content was refused: stay in the room so it can be fixed or cleared
+    if (result.code === 'content_rejected') {
+      elements.textError.textContent = result.error;
+      elements.textError.classList.remove('hidden');
+    } else if (result.code && result.code.startsWith('drawing_')) {
+      elements.canvasError.textContent = `${result.error} Clear it or draw something smaller.`;
+      elements.canvasError.classList.remove('hidden');
+    } else if (result.busy) {
+      // Still inside, content and all, so let them try again
+      elements.textError.textContent = 'The room is busy. Please try leaving again.';
+      elements.textError.classList.remove('hidden');
+    }
+    if (result.code || result.busy) {
+      elements.leavingOverlay.classList.add('hidden');
+      elements.leavingText.textContent = 'Leaving...';
+      state.isLeaving = false;
+      if (!state.presence) {
+        startHeartbeat();
+      }
+      return;
+    }
+    
+    // Only hang up once the content is saved, or the lock goes without it
+    closePresence();
+    stopCountdown();
+    forgetVisit();
     state.isInRoom = false;
+    state.isLeaving = false;
     state.sessionId = null;
     
     // Reset UI
     elements.textInput.value = '';
     elements.charCurrent.textContent = '0';
     clearDrawingCanvas();
+    resetDraft();
     elements.canvasContainer.classList.add('hidden');
+    elements.canvasError.classList.add('hidden');
+    elements.textError.classList.add('hidden');
     elements.toggleCanvas.textContent = '+ Add drawing';
     
     elements.leavingOverlay.classList.add('hidden');
+    elements.leavingText.textContent = 'Leaving...';
     showLanding();
-    refreshStatus();
+    
+    if (result.degraded) {
+      showUnavailable(result.retryAfter);
+    } else {
+      refreshStatus();
+    }
   }
 
   async function refreshStatus() {
+    clearTimeout(state.statusRetryTimer);
+    
+    // Waiting in line: our ticket knows more than the public status
+    if (state.ticket) {
+      pollTicket();
+      return;
+    }
+    
     showStatus('loading');
     
     const status = await checkStatus();
@@ -392,8 +1366,18 @@
       return;
     }
     
+    renderStatus(status);
+  }
+
+  function renderStatus(status) {
+    if (status.degraded) {
+      showUnavailable(status.retryAfter);
+      return;
+    }
+    
     if (status.occupied) {
       showStatus('occupied');
+      elements.occupiedText.textContent = 'Someone is inside.';
       
       if (status.occupiedMinutes !== undefined) {
         if (status.occupiedMinutes === 0) {
@@ -406,8 +1390,155 @@
       } else {
         elements.occupiedTime.textContent = '';
       }
+    } else if (status.waiting > 0) {
+      // Empty, but held for whoever is at the head of the line
+      showStatus('occupied');
+      elements.occupiedText.textContent = 'Others are waiting.';
+      elements.occupiedTime.textContent = '';
     } else {
       showStatus('vacant');
+      announceVacancy();
+    }
+  }
+
+  // ============================================================
+  // Live Status
+  // ============================================================
+  
+  const STREAM_EVENTS = ['occupied', 'vacated', 'occupiedMinutes', 'waiting'];
+  const STREAM_RETRY_DELAY = 5000;
+
+  function openStatusStream() {
+    if (state.statusStream || !window.EventSource) return;
+    
+    const stream = new EventSource(`${API_BASE}/events`);
+    
+    STREAM_EVENTS.forEach(type => {
+      stream.addEventListener(type, (e) => {
+        handleLiveStatus(type, JSON.parse(e.data));
+      });
+    });
+    
+    stream.onerror = () => {
+      // EventSource reconnects by itself unless the server refused the stream
+      if (stream.readyState === EventSource.CLOSED) {
+        closeStatusStream();
+        state.streamRetryTimer = setTimeout(openStatusStream, STREAM_RETRY_DELAY);
+      }
+    };
+    
+    state.statusStream = stream;
+  }
+
+  function closeStatusStream() {
+    clearTimeout(state.streamRetryTimer);
+    
+    if (state.statusStream) {
+      state.statusStream.close();
+      state.statusStream = null;
+    }
+  }
+
+  function handleLiveStatus(type, status) {
+    if (state.isInRoom) return;
+    
+    // In line: the head may have moved, so ask about our ticket right away
+    if (state.ticket) {
+      if (type === 'vacated' || type === 'occupied') {
+        pollTicket();
+      }
+      return;
+    }
+    
+    // Let an entry attempt in progress finish first
+    if (elements.enterBtn.disabled) return;
+    
+    clearTimeout(state.statusRetryTimer);
+    renderStatus(status);
+  }
+
+  // ============================================================
+  // Vacancy Notifications
+  // ============================================================
+  
+  // Opted in from the occupied screen. The live status stream says when the
+  // room empties; the service worker shows the notification, and a click on
+  // it comes back here with the Enter button focused.
+  const NOTIFICATIONS_SUPPORTED = 'Notification' in window && 'serviceWorker' in navigator;
+  const ENTER_HASH = '#enter';
+
+  function setNotifyNote(text) {
+    elements.notifyNote.textContent = text;
+    elements.notifyNote.classList.toggle('hidden', !text);
+  }
+
+  function setNotifyWhenVacant(on) {
+    state.notifyWhenVacant = on;
+    elements.notifyBtn.setAttribute('aria-pressed', String(on));
+    elements.notifyBtn.textContent = on ? 'We\'ll tell you. Cancel' : 'Tell me when it\'s empty';
+    setNotifyNote(on ? 'Keep this tab open. You can switch away from it.' : '');
+  }
+
+  async function toggleVacancyNotice() {
+    if (state.notifyWhenVacant) {
+      setNotifyWhenVacant(false);
+      return;
+    }
+    
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      setNotifyNote('Notifications are blocked for this site.');
+      return;
+    }
+    
+    try {
+      await navigator.serviceWorker.register('/sw.js');
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+      setNotifyNote('Notifications aren\'t available here.');
+      return;
+    }
+    
+    setNotifyWhenVacant(true);
+  }
+
+  /**
+   * The room just emptied: tell the visitor, once, if they asked to know
+   * Someone already looking at the page only needs the Enter button.
+   */
+  async function announceVacancy() {
+    if (!state.notifyWhenVacant) return;
+    setNotifyWhenVacant(false);
+    
+    if (document.visibilityState === 'visible') {
+      elements.enterBtn.focus();
+      return;
+    }
+    
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.showNotification('The room is empty', {
+        body: 'Step in before someone else does.',
+        tag: `room-vacant:${API_BASE}`,
+        data: { url: `${location.origin}${location.pathname}${ENTER_HASH}` }
+      });
+    } catch (err) {
+      console.error('Vacancy notification failed:', err);
+    }
+  }
+
+  /**
+   * Arrived from a vacancy notification: make Enter the obvious next step
+   */
+  async function focusEnter() {
+    if (location.hash === ENTER_HASH) {
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+    if (state.isInRoom || state.ticket) return;
+    
+    await refreshStatus();
+    if (!elements.statusVacant.classList.contains('hidden')) {
+      elements.enterBtn.focus();
     }
   }
 
@@ -421,12 +1552,29 @@
     
     // Retry button
     elements.retryBtn.addEventListener('click', refreshStatus);
+    elements.unavailableRetryBtn.addEventListener('click', refreshStatus);
+    
+    // Waiting line
+    elements.joinLineBtn.addEventListener('click', handleJoinLine);
+    elements.leaveLineBtn.addEventListener('click', handleLeaveLine);
+    
+    // Vacancy notifications
+    if (NOTIFICATIONS_SUPPORTED) {
+      elements.notifyBtn.classList.remove('hidden');
+      elements.notifyBtn.addEventListener('click', toggleVacancyNotice);
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'enter') focusEnter();
+      });
+    }
     
     // Leave button
     elements.leaveBtn.addEventListener('click', handleLeave);
     
-    // Character count
-    elements.textInput.addEventListener('input', updateCharCount);
+    // Character count and autosave
+    elements.textInput.addEventListener('input', () => {
+      updateCharCount();
+      markDraftChanged();
+    });
     
     // Toggle canvas
     elements.toggleCanvas.addEventListener('click', () => {
@@ -451,27 +1599,27 @@
     });
     
     // Handle page unload
-    window.addEventListener('beforeunload', (e) => {
-      if (state.isInRoom) {
-        // Try to send leave request synchronously
-        const content = {
-          text: elements.textInput.value.trim(),
-          drawing: getDrawingData()
-        };
-        
-        // Use sendBeacon for reliable delivery on page close
-        navigator.sendBeacon('/api/leave', JSON.stringify({
-          sessionId: state.sessionId,
-          content
-        }));
+    // Mobile browsers often skip beforeunload, so pagehide covers them
+    window.addEventListener('beforeunload', sendLeaveBeacon);
+    window.addEventListener('pagehide', sendLeaveBeacon);
+    
+    // Restored from the back/forward cache after the unload beacon went out
+    window.addEventListener('pageshow', async (e) => {
+      if (!e.persisted || !state.leaveBeaconSent) return;
+      
+      stopHeartbeat();
+      stopCountdown();
+      closePresence();
+      if (!(await resumeVisit())) {
+        resetAfterBeacon();
       }
     });
     
-    // Handle visibility change (tab switch)
+    // Handle visibility change (tab switch, app switch on mobile)
     document.addEventListener('visibilitychange', () => {
       if (document.hidden && state.isInRoom) {
-        // Send a heartbeat when tab becomes hidden
-        sendHeartbeat();
+        // The page may never come back, so make sure the draft is saved
+        sendHeartbeatBeacon();
       }
     });
   }
@@ -480,10 +1628,20 @@
   // Initialize
   // ============================================================
   
-  function init() {
+  async function init() {
     setupCanvas();
+    setupDrawingTools();
     setupEventListeners();
-    refreshStatus();
+    
+    // Reloaded mid-visit: straight back into the room
+    if (await resumeVisit()) return;
+    
+    if (location.hash === ENTER_HASH) {
+      focusEnter();
+    } else {
+      refreshStatus();
+    }
+    openStatusStream();
   }
 
   // Start the application
@@ -0,0 +1,39 @@
+/**
+ * The Internet Room - Service Worker
+ *
+ * Only here for vacancy notifications: the page shows them through this
+ * worker so they work from a background tab, and a click lands back on
+ * the room with the Enter button ready. Nothing is cached.
+ */
+
+'use strict';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+/**
+ * Bring the room's tab forward and point it at the Enter button, or open
+ * the room if the tab has gone
+ */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data && event.notification.data.url;
+  if (!url) return;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const roomUrl = url.split('#')[0];
+    const tab = windows.find(client => client.url.split('#')[0] === roomUrl);
+
+    if (tab) {
+      tab.postMessage({ type: 'enter' });
+      return tab.focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,119 @@
+/**
+ * Admin access
+ *
+ * Admin routes take the secret in an `x-admin-secret` header, compared in
+ * constant time. Repeated failures from one address are locked out for a
+ * while. Every admin action, and every wrong secret, goes to the audit
+ * log; successful reads (the console polls) don't, and a locked-out address
+ * is logged once per lockout rather than once per request, so no one can
+ * grow the log without the secret.
+ */
+
+import crypto from 'crypto';
+import { appendAudit } from './store.js';
+
+// The secret this project used to ship with; it's public, so it never counts
+const PUBLIC_DEFAULT_SECRET = 'the-void-awaits';
+
+/**
+ * The configured admin secret, or null if admin routes must stay off
+ */
+export function resolveAdminSecret(secret) {
+  if (!secret) {
+    console.warn('[ADMIN] ADMIN_SECRET is not set; admin routes are disabled');
+    return null;
+  }
+  if (secret === PUBLIC_DEFAULT_SECRET) {
+    console.warn('[ADMIN] ADMIN_SECRET is the public default; admin routes are disabled');
+    return null;
+  }
+  return secret;
+}
+
+/**
+ * Compare two strings without leaking where they differ, or their lengths
+ */
+function secretsMatch(given, expected) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Append one admin request to the audit log once it has been answered
+ * The log is best effort: a store outage must not lock admins out.
+ */
+function auditRequest(req, res) {
+  res.on('finish', () => {
+    if (req.method === 'GET' && res.statusCode < 400) return;
+
+    appendAudit({
+      at: Date.now(),
+      ip: req.ip,
+      action: `${req.method} ${req.originalUrl.split('?')[0]}`,
+      status: res.statusCode
+    }).catch((err) => {
+      console.error(`[AUDIT] Could not record admin request: ${err.message}`);
+    });
+  });
+}
+
+/**
+ * Middleware that lets only requests carrying the admin secret through
+ * After `maxFailures` wrong secrets within `failureWindow` ms, an address
+ * gets 429 until the window has passed.
+ */
+export function createAdminGuard({ secret, maxFailures, failureWindow }) {
+  // Failed attempt timestamps by IP
+  const failures = new Map();
+  // When each locked-out IP's lockout ends, once it has been logged
+  const lockouts = new Map();
+
+  function recentFailures(ip, now) {
+    const recent = (failures.get(ip) || []).filter(t => now - t < failureWindow);
+    if (recent.length > 0) {
+      failures.set(ip, recent);
+    } else {
+      failures.delete(ip);
+    }
+    return recent;
+  }
+
+  // Forget addresses whose failures have aged out
+  setInterval(() => {
+    const now = Date.now();
+    for (const ip of failures.keys()) {
+      recentFailures(ip, now);
+    }
+    for (const [ip, endsAt] of lockouts) {
+      if (endsAt <= now) lockouts.delete(ip);
+    }
+  }, failureWindow);
+
+  return function requireAdmin(req, res, next) {
+    const ip = req.ip;
+    const now = Date.now();
+
+    const recent = recentFailures(ip, now);
+    if (recent.length >= maxFailures) {
+      const endsAt = recent[0] + failureWindow;
+      if (lockouts.get(ip) !== endsAt) {
+        lockouts.set(ip, endsAt);
+        auditRequest(req, res);
+      }
+      const retryAfter = Math.ceil((endsAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'Too many failed attempts', retryAfter });
+    }
+    auditRequest(req, res);
+
+    const given = req.headers['x-admin-secret'];
+    if (typeof given !== 'string' || !secretsMatch(given, secret)) {
+      failures.set(ip, [...recent, now]);
+      console.warn(`[ADMIN] Rejected admin request from ${ip} (${recent.length + 1}/${maxFailures})`);
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    failures.delete(ip);
+    next();
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Runtime configuration
+ *
+ * Every setting has a default below. Any of them can be overridden by a
+ * JSON file named in CONFIG_FILE, and then by an environment variable of
+ * the same name, so the environment always wins:
+ *
+ *   HARD_SESSION_TIMEOUT=240000 MAX_TEXT_LENGTH=300 npm start
+ *   CONFIG_FILE=room.config.json npm start
+ *
+ * A setting's type comes from its default. In the environment, lists are
+ * comma-separated, booleans are `true` or `false`, and objects are JSON.
+ * Everything is checked at startup, and all the problems are reported
+ * together, so a bad deployment never starts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULTS = {
+  PORT: 3000,                     // HTTP port
+  HEARTBEAT_INTERVAL: 12000,      // Client heartbeat every 12 seconds
+  HEARTBEAT_TIMEOUT: 30000,       // 30 seconds without heartbeat = dead
+  HARD_SESSION_TIMEOUT: 180000,   // 3 minutes hard limit (180 seconds)
+  LEASE_WARNING_AT: 60000,        // The countdown warns with a minute left...
+  LEASE_FINAL_AT: 15000,          // ...and again with 15 seconds left
+  STALE_CHECK_INTERVAL: 5000,     // Write out expired leases every 5 seconds (0 = only on requests)
+  MAX_TEXT_LENGTH: 500,           // Maximum characters for text
+  DRAWING_MAX_WIDTH: 400,         // Drawings can't be wider than the canvas
+  DRAWING_MAX_HEIGHT: 200,        // ...or taller
+  DRAWING_MAX_BYTES: 256000,      // Maximum stored drawing size
+  DRAWING_MAX_STROKES: 500,       // Maximum separate lines in a drawing
+  DRAWING_MAX_POINTS: 10000,      // Maximum points across all lines
+  STORE_RETRY_AFTER: 5000,        // Suggested retry delay while the store is unreachable
+  QUEUE_TICKET_TIMEOUT: 30000,    // 30 seconds without a poll = ticket dropped
+  QUEUE_CLAIM_WINDOW: 20000,      // Head of the line has 20 seconds to step in
+  QUEUE_POLL_INTERVAL: 8000,      // Client checks its place every 8 seconds
+  QUEUE_MAX_LENGTH: 50,           // Maximum tickets waiting at once
+  RATE_LIMITS: {                  // Requests allowed per client, per route, in any window (ms)
+    enter: { max: 5, window: 60000 },
+    queue: { max: 5, window: 60000 },
+    ticket: { max: 20, window: 60000 },
+    heartbeat: { max: 10, window: 60000 },
+    resume: { max: 5, window: 60000 }
+  },
+  TRUST_PROXY: '',                // Proxies whose X-Forwarded-For is believed (see ratelimit.js)
+  EVENTS_SYNC_INTERVAL: 15000,    // Re-read the store for live listeners every 15 seconds
+  EVENTS_KEEPALIVE: 25000,        // Comment line to keep idle streams open
+  EVENTS_RETRY: 3000,             // Client reconnect delay after a dropped stream
+  PRESENCE_ENABLED: true,         // Offer the WebSocket lease at <room API>/presence
+  PRESENCE_PING_INTERVAL: 10000,  // Ping every 10 seconds; a missed pong ends the lease
+  PRESENCE_CLOSE_GRACE: 3000,     // Wait for the unload beacon before releasing
+  RESUME_GRACE: 5000,             // After the occupant's page unloads, hold the visit for a reload
+  SHUTDOWN_GRACE: 3000,           // On SIGTERM, occupants get 3 seconds to leave with their content
+  SHUTDOWN_TIMEOUT: 20000,        // Exit anyway if draining takes longer than this
+  MODERATION_FILTERS: ['normalize', 'pii', 'links', 'wordlist'], // In order
+  MODERATION_WORDLIST_FILE: null, // One word per line
+  MODERATION_WORDLIST_MODE: 'mask', // Or 'reject'
+  MODERATION_PLUGINS: [],         // Modules exporting custom filters
+  ARCHIVE_SIZE: 10,               // Artifacts kept for admin rollback (0 = none)
+  ARCHIVE_RETENTION_MINUTES: 60,  // Kept for an hour
+  ADMIN_SECRET: null,             // Admin routes stay off without one
+  ADMIN_MAX_FAILURES: 5,          // Wrong secrets allowed per address...
+  ADMIN_FAILURE_WINDOW: 900000,   // ...every 15 minutes
+  ADMIN_AUDIT_LIMIT: 100,         // Audit entries returned at once
+  ADMIN_RECENT_RELEASES: 20,      // Releases shown on the admin console
+  ADMIN_HOT_SPOTS: 10,            // Busiest rate-limit keys shown on the admin console
+  METRICS_PATH: '/metrics',       // Prometheus scrape endpoint (empty to turn off)
+  ROOMS: {}                       // Named rooms and their overrides (see rooms.js)
+};
+
+// Numbers must be whole and at least 1, except these
+const MAY_BE_ZERO = new Set(['ARCHIVE_SIZE', 'STALE_CHECK_INTERVAL']);
+
+// Relationships between settings, with what goes wrong otherwise
+const RULES = [
+  [c => c.HEARTBEAT_INTERVAL * 2 <= c.HEARTBEAT_TIMEOUT,
+    'HEARTBEAT_INTERVAL must be at most half of HEARTBEAT_TIMEOUT, or one late heartbeat ends a visit'],
+  [c => c.HEARTBEAT_TIMEOUT < c.HARD_SESSION_TIMEOUT,
+    'HEARTBEAT_TIMEOUT must be shorter than HARD_SESSION_TIMEOUT'],
+  [c => c.STALE_CHECK_INTERVAL < c.HEARTBEAT_TIMEOUT,
+    'STALE_CHECK_INTERVAL must be shorter than HEARTBEAT_TIMEOUT, or releases are announced late'],
+  [c => c.PRESENCE_PING_INTERVAL * 2 <= c.HEARTBEAT_TIMEOUT,
+    'PRESENCE_PING_INTERVAL must be at most half of HEARTBEAT_TIMEOUT, since pings stand in for heartbeats'],
+  [c => c.LEASE_FINAL_AT < c.LEASE_WARNING_AT,
+    'LEASE_FINAL_AT must be shorter than LEASE_WARNING_AT'],
+  [c => c.LEASE_WARNING_AT < c.HARD_SESSION_TIMEOUT,
+    'LEASE_WARNING_AT must be shorter than HARD_SESSION_TIMEOUT'],
+  [c => c.QUEUE_POLL_INTERVAL * 2 <= c.QUEUE_TICKET_TIMEOUT,
+    'QUEUE_POLL_INTERVAL must be at most half of QUEUE_TICKET_TIMEOUT, or one late poll drops a ticket'],
+  [c => c.QUEUE_POLL_INTERVAL < c.QUEUE_CLAIM_WINDOW,
+    'QUEUE_POLL_INTERVAL must be shorter than QUEUE_CLAIM_WINDOW, or the head of the line can miss its turn'],
+  [c => c.RESUME_GRACE < c.HEARTBEAT_TIMEOUT,
+    'RESUME_GRACE must be shorter than HEARTBEAT_TIMEOUT, since an unloaded page sends no more heartbeats'],
+  [c => c.HEARTBEAT_INTERVAL + c.SHUTDOWN_GRACE < c.SHUTDOWN_TIMEOUT,
+    'HEARTBEAT_INTERVAL plus SHUTDOWN_GRACE must be shorter than SHUTDOWN_TIMEOUT, or occupants are cut off before they can leave'],
+  [c => ['mask', 'reject'].includes(c.MODERATION_WORDLIST_MODE),
+    'MODERATION_WORDLIST_MODE must be "mask" or "reject"']
+];
+
+/**
+ * Thrown when settings are invalid; `problems` lists every one found
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration: ${problems.join('; ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * The kind of value a setting holds, judged by its default
+ */
+function kindOf(value) {
+  if (value === null || typeof value === 'string') return 'string';
+  if (Array.isArray(value)) return 'list';
+  return typeof value;
+}
+
+/**
+ * Turn an environment variable into a setting's kind of value
+ * Returns `{ value }`, or `{ problem }` if it can't be read.
+ */
+function fromEnv(kind, raw) {
+  switch (kind) {
+    case 'number':
+      return /^\d+$/.test(raw.trim()) ? { value: Number(raw) } : { problem: 'must be a whole number' };
+    case 'boolean':
+      if (raw === 'true') return { value: true };
+      if (raw === 'false') return { value: false };
+      return { problem: 'must be true or false' };
+    case 'list':
+      return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+    case 'object':
+      try {
+        return { value: JSON.parse(raw) };
+      } catch (err) {
+        return { problem: `must be JSON (${err.message})` };
+      }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Check a value (from the file, or as read from the environment) against
+ * a setting's kind, returning a problem or null
+ */
+function checkKind(key, kind, value) {
+  switch (kind) {
+    case 'number':
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      if (value < (MAY_BE_ZERO.has(key) ? 0 : 1)) return `must be at least ${MAY_BE_ZERO.has(key) ? 0 : 1}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? null
+        : 'must be a list of strings';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      return value === null || typeof value === 'string' ? null : 'must be a string';
+  }
+}
+
+/**
+ * Settings from the JSON file named in CONFIG_FILE, if any
+ */
+function readConfigFile(file, problems) {
+  if (!file) return {};
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (err) {
+    problems.push(`CONFIG_FILE ${file} could not be read: ${err.message}`);
+    return {};
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    problems.push(`CONFIG_FILE ${file} must hold a JSON object of settings`);
+    return {};
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!(key in DEFAULTS)) {
+      problems.push(`${key} in ${file} is not a setting`);
+    }
+  }
+
+  console.log(`[CONFIG] Loaded settings from ${file}`);
+  return settings;
+}
+
+/**
+ * The validated configuration: defaults, then CONFIG_FILE, then `env`
+ * Throws ConfigError listing everything that's wrong.
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const file = readConfigFile(env.CONFIG_FILE, problems);
+  const config = {};
+
+  for (const [key, fallback] of Object.entries(DEFAULTS)) {
+    const kind = kindOf(fallback);
+    let value = fallback;
+    let source = 'default';
+
+    if (key in file) {
+      value = file[key];
+      source = env.CONFIG_FILE;
+    }
+
+    // An empty variable unsets numbers and booleans; strings and lists can be empty
+    const raw = env[key];
+    if (raw !== undefined && (raw !== '' || kind === 'string' || kind === 'list')) {
+      const read = fromEnv(kind, raw);
+      if (read.problem) {
+        problems.push(`${key} (environment) ${read.problem}`);
+        continue;
+      }
+      value = read.value;
+      source = 'environment';
+    }
+
+    const problem = checkKind(key, kind, value);
+    if (problem) {
+      problems.push(`${key} (${source}) ${problem}`);
+      continue;
+    }
+    config[key] = value;
+  }
+
+  // Relationships only make sense once every setting is readable
+  if (problems.length === 0) {
+    for (const [holds, message] of RULES) {
+      if (!holds(config)) problems.push(message);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
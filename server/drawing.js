@@ -0,0 +1,247 @@
+/**
+ * Drawing validation
+ *
+ * Drawings are shown to the next stranger, so they are checked here
+ * rather than trusted. Two formats are accepted:
+ *
+ * Strokes (current) — compact JSON the next visitor sees replayed:
+ *   { v: 1, w: 400, h: 200, strokes: [{ c: '#1a1a1a', s: 2, p: [x, y, t, ...] }] }
+ *   `w` and `h` are the size of the canvas it was drawn on, at most the
+ *   configured maximum. `c` is the colour, `s` the line width and `p` a
+ *   flat list of points, each x and y in canvas pixels and t in ms since
+ *   the drawing began.
+ *   Eraser strokes carry `e: 1` and rub out what is beneath them.
+ *
+ * PNG data URLs (older clients) — decoded and checked for real PNG bytes,
+ * sane dimensions, bounded size, and only the chunks needed to render.
+ */
+
+const DATA_URL_PREFIX = 'data:image/png;base64,';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Critical chunks, plus tRNS because dropping it would change how the image looks
+const KEPT_CHUNKS = new Set(['IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS']);
+
+// Valid IHDR colour type / bit depth combinations
+const BIT_DEPTHS = {
+  0: [1, 2, 4, 8, 16],
+  2: [8, 16],
+  3: [1, 2, 4, 8],
+  4: [8, 16],
+  6: [8, 16]
+};
+
+// Why a drawing was refused, as reported to the client
+export const DRAWING_ERRORS = {
+  drawing_invalid: 'The drawing could not be read.',
+  drawing_too_large: 'The drawing is too large.',
+  drawing_dimensions: 'The drawing is larger than the canvas.',
+  drawing_too_complex: 'The drawing has too many lines.'
+};
+
+const STROKE_FORMAT_VERSION = 1;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 40;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Split a PNG into its chunks, or return null if the structure is broken
+ */
+function readChunks(png) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  
+  while (offset < png.length) {
+    if (offset + 12 > png.length) return null;
+    
+    const length = png.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > png.length) return null;
+    
+    const typeAndData = png.subarray(offset + 4, offset + 8 + length);
+    if (crc32(typeAndData) !== png.readUInt32BE(offset + 8 + length)) return null;
+    
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length), raw: png.subarray(offset, end) });
+    offset = end;
+    
+    if (type === 'IEND') break;
+  }
+  
+  // IEND must be the very last thing in the file
+  const last = chunks[chunks.length - 1];
+  if (!last || last.type !== 'IEND' || offset !== png.length) return null;
+  
+  return chunks;
+}
+
+/**
+ * Validate a PNG data URL and strip it down to what's needed to render it
+ */
+function normalizePngDrawing(dataUrl, limits) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith(DATA_URL_PREFIX)) {
+    return { code: 'drawing_invalid' };
+  }
+  
+  const encoded = dataUrl.slice(DATA_URL_PREFIX.length);
+  
+  // Check the size before decoding (base64 is 4 chars per 3 bytes)
+  if (encoded.length * 3 / 4 > limits.maxBytes) {
+    return { code: 'drawing_too_large' };
+  }
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded)) {
+    return { code: 'drawing_invalid' };
+  }
+  
+  const png = Buffer.from(encoded, 'base64');
+  
+  if (png.length < PNG_SIGNATURE.length || !png.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return { code: 'drawing_invalid' };
+  }
+  
+  const chunks = readChunks(png);
+  if (!chunks || chunks[0].type !== 'IHDR' || chunks[0].data.length !== 13) {
+    return { code: 'drawing_invalid' };
+  }
+  
+  const header = chunks[0].data;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const bitDepth = header[8];
+  const colorType = header[9];
+  
+  if (!BIT_DEPTHS[colorType] || !BIT_DEPTHS[colorType].includes(bitDepth)) {
+    return { code: 'drawing_invalid' };
+  }
+  if (width === 0 || height === 0 || width > limits.maxWidth || height > limits.maxHeight) {
+    return { code: 'drawing_dimensions' };
+  }
+  if (!chunks.some(chunk => chunk.type === 'IDAT')) {
+    return { code: 'drawing_invalid' };
+  }
+  
+  const kept = chunks.filter(chunk => KEPT_CHUNKS.has(chunk.type)).map(chunk => chunk.raw);
+  const normalized = Buffer.concat([PNG_SIGNATURE, ...kept]);
+  
+  return { drawing: DATA_URL_PREFIX + normalized.toString('base64') };
+}
+
+/**
+ * Validate a stroke drawing and rebuild it with rounded coordinates
+ */
+function normalizeStrokes(drawing, limits) {
+  if (!drawing || drawing.v !== STROKE_FORMAT_VERSION || !Array.isArray(drawing.strokes)) {
+    return { code: 'drawing_invalid' };
+  }
+  if (!Number.isInteger(drawing.w) || !Number.isInteger(drawing.h)) {
+    return { code: 'drawing_invalid' };
+  }
+  if (drawing.w < 1 || drawing.h < 1 || drawing.w > limits.maxWidth || drawing.h > limits.maxHeight) {
+    return { code: 'drawing_dimensions' };
+  }
+  if (drawing.strokes.length > limits.maxStrokes) {
+    return { code: 'drawing_too_complex' };
+  }
+  
+  const strokes = [];
+  let totalPoints = 0;
+  
+  for (const stroke of drawing.strokes) {
+    const { c, s, p, e } = stroke || {};
+    
+    if (typeof c !== 'string' || !COLOR_PATTERN.test(c)) {
+      return { code: 'drawing_invalid' };
+    }
+    if (typeof s !== 'number' || !(s >= MIN_LINE_WIDTH && s <= MAX_LINE_WIDTH)) {
+      return { code: 'drawing_invalid' };
+    }
+    if (!Array.isArray(p) || p.length < 3 || p.length % 3 !== 0) {
+      return { code: 'drawing_invalid' };
+    }
+    if (e !== undefined && ![0, 1, true, false].includes(e)) {
+      return { code: 'drawing_invalid' };
+    }
+    
+    totalPoints += p.length / 3;
+    if (totalPoints > limits.maxPoints) {
+      return { code: 'drawing_too_complex' };
+    }
+    
+    const points = [];
+    for (let i = 0; i < p.length; i += 3) {
+      const [x, y, t] = [p[i], p[i + 1], p[i + 2]];
+      
+      if (![x, y, t].every(Number.isFinite)) {
+        return { code: 'drawing_invalid' };
+      }
+      if (x < 0 || y < 0 || x > drawing.w || y > drawing.h || t < 0) {
+        return { code: 'drawing_dimensions' };
+      }
+      
+      points.push(Math.round(x), Math.round(y), Math.round(t));
+    }
+    
+    const normalizedStroke = { c: c.toLowerCase(), s: Math.round(s), p: points };
+    if (e) {
+      normalizedStroke.e = 1;
+    }
+    strokes.push(normalizedStroke);
+  }
+  
+  if (strokes.length === 0) {
+    return { drawing: null };
+  }
+  
+  const normalized = JSON.stringify({ v: STROKE_FORMAT_VERSION, w: drawing.w, h: drawing.h, strokes });
+  if (normalized.length > limits.maxBytes) {
+    return { code: 'drawing_too_large' };
+  }
+  
+  return { drawing: normalized };
+}
+
+/**
+ * Validate a drawing from a visitor and turn it into its stored form
+ *
+ * Stroke drawings are stored as JSON text, PNGs as their data URL.
+ * Returns `{ drawing }` (null for an empty drawing), or `{ code }` naming
+ * the first problem found (see DRAWING_ERRORS).
+ */
+export function normalizeDrawing(drawing, limits) {
+  if (typeof drawing === 'string') {
+    return normalizePngDrawing(drawing, limits);
+  }
+  return normalizeStrokes(drawing, limits);
+}
+
+/**
+ * Turn a stored drawing back into what the client renders:
+ * a stroke object, or a PNG data URL for rows saved before strokes existed
+ */
+export function parseStoredDrawing(stored) {
+  if (!stored || stored.startsWith(DATA_URL_PREFIX)) {
+    return stored || null;
+  }
+  
+  try {
+    return JSON.parse(stored);
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Live room status over Server-Sent Events
+ *
+ * Every connected landing page receives the public status of its room
+ * whenever it changes. Event names describe what changed:
+ *   - occupied        — someone entered
+ *   - vacated         — the room became empty
+ *   - occupiedMinutes — the visit crossed another minute
+ *   - waiting         — the line grew or shrank
+ * Each event's data is the full status, so clients can simply re-render.
+ */
+
+// Listeners and the last status sent to them, by room ID
+const channels = new Map();
+
+/**
+ * The listeners of one room
+ */
+function channel(roomId) {
+  if (!channels.has(roomId)) {
+    // lastStatus suppresses duplicates
+    channels.set(roomId, { clients: new Set(), lastStatus: null });
+  }
+  return channels.get(roomId);
+}
+
+/**
+ * Write one SSE message to a client
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Work out which event a status change should be announced as
+ */
+function eventFor(previous, status) {
+  if (!previous || previous.occupied !== status.occupied) {
+    return status.occupied ? 'occupied' : 'vacated';
+  }
+  if (previous.occupiedMinutes !== status.occupiedMinutes) {
+    return 'occupiedMinutes';
+  }
+  if (previous.waiting !== status.waiting) {
+    return 'waiting';
+  }
+  return null;
+}
+
+/**
+ * Register a response as an event stream for a room
+ * The client immediately receives the latest known status.
+ */
+export function addClient(roomId, res, status, retryMs) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Tell EventSource how long to wait before reconnecting
+  res.write(`retry: ${retryMs}\n\n`);
+  send(res, status.occupied ? 'occupied' : 'vacated', status);
+  
+  const { clients } = channel(roomId);
+  clients.add(res);
+  res.on('close', () => clients.delete(res));
+}
+
+/**
+ * Broadcast a room's status if it differs from the last one sent
+ */
+export function publishStatus(roomId, status) {
+  const listeners = channel(roomId);
+  const event = eventFor(listeners.lastStatus, status);
+  listeners.lastStatus = status;
+  
+  if (!event) return;
+  
+  for (const res of listeners.clients) {
+    send(res, event, status);
+  }
+}
+
+/**
+ * Keep idle connections open through proxies
+ */
+export function sendKeepAlive() {
+  for (const { clients } of channels.values()) {
+    for (const res of clients) {
+      res.write(': keep-alive\n\n');
+    }
+  }
+}
+
+/**
+ * End every stream so a shutting-down server can drain
+ * EventSource reconnects by itself, to whichever server is up by then.
+ */
+export function closeStreams() {
+  for (const { clients } of channels.values()) {
+    for (const res of clients) {
+      res.end();
+    }
+  }
+}
+
+/**
+ * Whether anyone is listening to a room
+ */
+export function hasClients(roomId) {
+  return channels.has(roomId) && channels.get(roomId).clients.size > 0;
+}
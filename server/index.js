@@ -2,7 +2,8 @@
  * The Internet Room - Server
  * 
  * A minimalist shared digital room where only one user
- * can be present at any given time globally.
+ * can be present at any given time globally. One deployment can also
+ * host a few named rooms, each with its own single occupant.
  */
 
 import express from 'express';
@@ -12,131 +13,573 @@ import { v4 as uuidv4 } from 'uuid';
 import {
   getState,
   acquireLock,
+  resumeLock,
   releaseLock,
   updateHeartbeat,
   checkStaleLocks,
-  getRoomContent,
-  forceClear
+  setLeaseRules,
+  joinLine,
+  checkTicket,
+  leaveLine,
+  forceClear,
+  evictOccupant,
+  clearContent,
+  replaceContent,
+  listArchive,
+  hideCurrentArtifact,
+  restoreArtifact,
+  listAudit,
+  roomEvents,
+  StoreUnavailableError,
+  StoreContentionError,
+  DEFAULT_ROOM_ID,
+  chooseStore
 } from './store.js';
+import { loadRooms, ROOM_ERRORS } from './rooms.js';
+import { addClient, publishStatus, sendKeepAlive, hasClients, closeStreams } from './events.js';
+import { attachPresence, hasLease, announceClosing, closePresence } from './presence.js';
+import { normalizeDrawing, parseStoredDrawing, DRAWING_ERRORS } from './drawing.js';
+import { createModerator, loadFilterModules, MODERATION_ERRORS } from './moderation.js';
+import { resolveAdminSecret, createAdminGuard } from './admin.js';
+import { loadConfig, ConfigError } from './config.js';
+import { createRateLimiter, loadPolicies, trustProxy } from './ratelimit.js';
+import { createCounter, createGauge, createHistogram, onCollect, renderMetrics } from './metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Exit explaining what's wrong with the configuration; rethrow anything else
+ */
+function exitOnConfigError(err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error('[CONFIG] Invalid configuration:');
+  err.problems.forEach(problem => console.error(`[CONFIG]   - ${problem}`));
+  process.exit(1);
+}
+
+/**
+ * Run a startup step that reads configuration, or exit explaining what's wrong
+ * An async step resolves to its result, or exits the same way.
+ */
+function configured(load) {
+  try {
+    const result = load();
+    return result instanceof Promise ? result.catch(exitOnConfigError) : result;
+  } catch (err) {
+    exitOnConfigError(err);
+  }
+}
+
+// Configuration: defaults in config.js, overridden by CONFIG_FILE and the environment
+const CONFIG = configured(() => loadConfig(process.env));
+
+// Storage backend, from STORE_ADAPTER (see store.js)
+configured(() => chooseStore(process.env));
+
+// Configuration that is safe to show, even to an admin
+const { ADMIN_SECRET: configuredSecret, ...VISIBLE_CONFIG } = CONFIG;
+
+// Admin routes stay off without a usable secret
+const ADMIN_SECRET = resolveAdminSecret(configuredSecret);
+
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Configuration
-const CONFIG = {
-  HEARTBEAT_INTERVAL: 12000,      // Client heartbeat every 12 seconds
-  HEARTBEAT_TIMEOUT: 30000,       // 30 seconds without heartbeat = dead
-  HARD_SESSION_TIMEOUT: 180000,   // 3 minutes hard limit (180 seconds)
-  STALE_CHECK_INTERVAL: 5000,     // Check for stale locks every 5 seconds
-  MAX_TEXT_LENGTH: 500,           // Maximum characters for text
-  ADMIN_SECRET: process.env.ADMIN_SECRET || 'the-void-awaits'
+const PORT = CONFIG.PORT;
+
+// Client addresses come from X-Forwarded-For only when it's set by a trusted proxy
+configured(() => {
+  try {
+    app.set('trust proxy', trustProxy(CONFIG.TRUST_PROXY));
+  } catch (err) {
+    throw new ConfigError([`TRUST_PROXY ${err.message}`]);
+  }
+});
+
+// Every room served, by ID
+const ROOMS = configured(() => loadRooms(CONFIG.ROOMS, {
+  hardSessionTimeout: CONFIG.HARD_SESSION_TIMEOUT,
+  maxTextLength: CONFIG.MAX_TEXT_LENGTH,
+  drawingEnabled: true
+}, {
+  heartbeatTimeout: CONFIG.HEARTBEAT_TIMEOUT,
+  leaseWarningAt: CONFIG.LEASE_WARNING_AT
+}));
+
+// Waiting line rules, as the store expects them
+const LINE = {
+  ticketTimeout: CONFIG.QUEUE_TICKET_TIMEOUT,
+  claimWindow: CONFIG.QUEUE_CLAIM_WINDOW,
+  maxLength: CONFIG.QUEUE_MAX_LENGTH
 };
 
-// Rate limiting state
-const rateLimits = new Map();
-const RATE_LIMIT = {
-  ENTRY_WINDOW: 60000,    // 1 minute window
-  ENTRY_MAX: 5,           // Max 5 entry attempts per minute
-  HEARTBEAT_MAX: 10       // Max 10 heartbeats per minute
+// Admin archive rules, as the store expects them
+const ARCHIVE = {
+  size: CONFIG.ARCHIVE_SIZE,
+  retention: CONFIG.ARCHIVE_RETENTION_MINUTES * 60000
 };
 
+// Every read judges the lease itself, so an expired visit never holds a room
+for (const room of ROOMS.values()) {
+  setLeaseRules(room.id, {
+    heartbeatTimeout: CONFIG.HEARTBEAT_TIMEOUT,
+    hardTimeout: room.hardSessionTimeout,
+    archive: ARCHIVE
+  });
+}
+
+// Drawing limits, as drawing.js expects them
+const DRAWING_LIMITS = {
+  maxWidth: CONFIG.DRAWING_MAX_WIDTH,
+  maxHeight: CONFIG.DRAWING_MAX_HEIGHT,
+  maxBytes: CONFIG.DRAWING_MAX_BYTES,
+  maxStrokes: CONFIG.DRAWING_MAX_STROKES,
+  maxPoints: CONFIG.DRAWING_MAX_POINTS
+};
+
+// Filters applied to text before it is left for the next visitor
+const moderator = configured(() => createModerator({
+  filters: CONFIG.MODERATION_FILTERS,
+  wordlistFile: CONFIG.MODERATION_WORDLIST_FILE,
+  wordlistMode: CONFIG.MODERATION_WORDLIST_MODE
+}));
+await configured(() => loadFilterModules(moderator, CONFIG.MODERATION_PLUGINS));
+
+// Why content was refused, for the visitor
+const CONTENT_ERRORS = { ...DRAWING_ERRORS, ...MODERATION_ERRORS, ...ROOM_ERRORS };
+
+// Why an entry attempt was turned away
+const ENTRY_ERRORS = {
+  occupied: 'Room is occupied',
+  queued: 'Others are waiting in line'
+};
+
+// Suggested retry delay after losing a write to other writers
+const CONTENTION_RETRY_AFTER = 1;
+
+// Per-route request limits, counted in the store
+const limiter = createRateLimiter({ policies: configured(() => loadPolicies(CONFIG.RATE_LIMITS)) });
+
+// Set when SIGTERM or SIGINT arrives (see shutdown)
+let shuttingDown = false;
+
+// How often shutdown checks whether the occupants have left
+const SHUTDOWN_POLL = 500;
+
+// The latest session this process let in or kept alive, by room
+const localSessions = new Map();
+
+// Releases waiting to see whether an unloaded page reloads, by session ID
+const pendingReleases = new Map();
+
 // Middleware
+app.use((req, res, next) => {
+  // Draining: don't hold connections open for another request
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
 app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 
 /**
- * Simple rate limiter
+ * Accept JSON sent by navigator.sendBeacon
+ * A beacon with a string body arrives as text/plain, which express.json
+ * skips; a Blob typed application/json is already parsed. Either way the
+ * body must be a JSON object.
  */
-function rateLimit(ip, action) {
-  const key = `${ip}:${action}`;
-  const now = Date.now();
+const beaconBody = [
+  express.text({ type: 'text/plain', limit: '1mb' }),
+  (req, res, next) => {
+    if (typeof req.body === 'string') {
+      try {
+        req.body = JSON.parse(req.body || '{}');
+      } catch (err) {
+        return res.status(400).json({ success: false, error: 'Invalid JSON' });
+      }
+    }
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ success: false, error: 'Expected a JSON object' });
+    }
+    next();
+  }
+];
+
+/**
+ * Send an error response for a failed request
+ * Store outages become 503 with a retry hint so clients never
+ * mistake them for an empty room. Lost write races are 503 too, marked
+ * `busy`: nothing changed, and trying again shortly should work.
+ */
+function sendError(res, route, err, body = {}) {
+  if (err instanceof StoreContentionError) {
+    res.set('Retry-After', String(CONTENTION_RETRY_AFTER));
+    return res.status(503).json({
+      ...body,
+      busy: true,
+      retryAfter: CONTENTION_RETRY_AFTER,
+      error: 'The room is busy. Please try again.'
+    });
+  }
   
-  if (!rateLimits.has(key)) {
-    rateLimits.set(key, []);
+
+  if (err instanceof StoreUnavailableError) {
+    const retryAfter = Math.ceil(CONFIG.STORE_RETRY_AFTER / 1000);
+    console.error(`[STORE] Unavailable in ${route}: ${err.cause.message}`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      ...body,
+      degraded: true,
+      retryAfter,
+      error: 'The room is unreachable'
+    });
   }
   
-  const timestamps = rateLimits.get(key).filter(t => now - t < RATE_LIMIT.ENTRY_WINDOW);
-  const maxAllowed = action === 'entry' ? RATE_LIMIT.ENTRY_MAX : RATE_LIMIT.HEARTBEAT_MAX;
+  console.error(`Error in ${route}:`, err);
+  res.status(500).json({ ...body, error: 'Internal server error' });
+}
+
+/**
+ * Turn away new visits, tickets and listeners while shutting down
+ * Answered like a store outage, so the page tries again shortly, by then
+ * against a server that's up.
+ */
+function refuseWhileClosing(req, res, next) {
+  if (!shuttingDown) return next();
+  
+  const retryAfter = Math.ceil(CONFIG.STORE_RETRY_AFTER / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    success: false,
+    degraded: true,
+    closing: true,
+    retryAfter,
+    error: 'The room is closing for a moment'
+  });
+}
+
+/**
+ * Public view of the room, as served by /api/status and /api/events
+ */
+function publicStatus(state) {
+  const status = {
+    occupied: state.is_occupied,
+    waiting: state.waiting_line.length
+  };
   
-  if (timestamps.length >= maxAllowed) {
-    return false;
+  // If occupied, include how long (rounded to minutes)
+  if (state.is_occupied && state.occupied_since) {
+    const elapsed = Date.now() - state.occupied_since;
+    status.occupiedMinutes = Math.floor(elapsed / 60000);
   }
   
-  timestamps.push(now);
-  rateLimits.set(key, timestamps);
-  return true;
+  return status;
 }
 
 /**
- * Clean up old rate limit entries periodically
+ * When the current lease ends, from the server's clock
+ * Clients count down from `remainingMs` so their own clock doesn't matter.
  */
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, timestamps] of rateLimits.entries()) {
-    const valid = timestamps.filter(t => now - t < RATE_LIMIT.ENTRY_WINDOW);
-    if (valid.length === 0) {
-      rateLimits.delete(key);
-    } else {
-      rateLimits.set(key, valid);
+function leaseTiming(room, occupiedSince) {
+  const expiresAt = occupiedSince + room.hardSessionTimeout;
+  return {
+    expiresAt,
+    remainingMs: Math.max(0, expiresAt - Date.now())
+  };
+}
+
+/**
+ * Check content against the room's text and drawing limits
+ * Returns `{ content }` ready to store, or `{ code }` if the drawing
+ * was refused.
+ */
+function validateContent(room, content) {
+  let drawing = null;
+  
+  if (content.drawing && !room.drawingEnabled) {
+    return { code: 'drawing_disabled' };
+  }
+  
+  if (content.drawing) {
+    const checked = normalizeDrawing(content.drawing, DRAWING_LIMITS);
+    if (checked.code) {
+      return { code: checked.code };
+    }
+    drawing = checked.drawing;
+  }
+  
+  return {
+    content: {
+      text: typeof content.text === 'string' 
+        ? content.text.slice(0, room.maxTextLength) 
+        : '',
+      drawing
     }
+  };
+}
+
+/**
+ * Validate and moderate content from a visitor (on leave, or as a draft)
+ * Returns `{ content }` ready to store, or `{ code }` if the drawing
+ * or text was refused. `source` labels moderation log entries.
+ */
+async function sanitizeContent(room, content, source = 'leave') {
+  const checked = validateContent(room, content);
+  if (checked.code) {
+    return checked;
   }
-}, 60000);
+  
+  const { drawing } = checked.content;
+  let { text } = checked.content;
+  
+  if (text) {
+    const moderated = await moderator.moderate(text, source);
+    if (moderated.rejected) {
+      return { code: 'content_rejected' };
+    }
+    // Rewrites can grow the text ("[link]"), so trim again
+    text = moderated.text.slice(0, room.maxTextLength);
+  }
+  
+  return { content: { text, drawing } };
+}
 
 /**
- * Check for stale locks periodically
+ * Write out expired leases in every room periodically
+ * Only an optimisation: reads already count an expired lease as vacant,
+ * but the sweep announces the release (live status, presence, metrics)
+ * and calls the head of the line without waiting for the next request.
+ * Serverless hosts can't keep a timer alive; set STALE_CHECK_INTERVAL=0.
  */
-setInterval(async () => {
-  const result = await checkStaleLocks(CONFIG.HEARTBEAT_TIMEOUT, CONFIG.HARD_SESSION_TIMEOUT);
-  if (result.released) {
-    console.log(`[SERVER] Lock released due to: ${result.reason}`);
+const staleSweep = CONFIG.STALE_CHECK_INTERVAL > 0 && setInterval(async () => {
+  for (const room of ROOMS.values()) {
+    try {
+      const result = await checkStaleLocks(room.id, LINE);
+      if (result.released) {
+        console.log(`[SERVER] Lock released in ${room.id} due to: ${result.reason}`);
+      }
+    } catch (err) {
+      // The next read after the store is back sees the expiry anyway
+      console.error(`[SERVER] Stale lock check failed in ${room.id}:`, err.message);
+    }
   }
 }, CONFIG.STALE_CHECK_INTERVAL);
 
+// Room health for Prometheus, by room; no label ever identifies a visitor
+const metrics = {
+  entries: createCounter({
+    name: 'room_entries_total',
+    help: 'Visitors who got into the room.'
+  }),
+  entryFailures: createCounter({
+    name: 'room_entry_failures_total',
+    help: 'Entry attempts turned away, by reason.'
+  }),
+  releases: createCounter({
+    name: 'room_releases_total',
+    help: 'Visits that ended, by reason.'
+  }),
+  sessionDuration: createHistogram({
+    name: 'room_session_duration_seconds',
+    help: 'How long visits lasted.',
+    buckets: [5, 15, 30, 60, 90, 120, 150, 180, 240]
+  }),
+  occupied: createGauge({
+    name: 'room_occupied',
+    help: 'Whether someone is inside the room (1) or not (0).'
+  }),
+  waiting: createGauge({
+    name: 'room_waiting',
+    help: 'Tickets waiting in line.'
+  }),
+  storeUp: createGauge({
+    name: 'room_store_up',
+    help: 'Whether the store could be read for every room at the last scrape.'
+  })
+};
+
+for (const room of ROOMS.keys()) {
+  metrics.entries.inc({ room }, 0);
+  ['occupied', 'queued', 'contention', 'rate_limited', 'unavailable']
+    .forEach(reason => metrics.entryFailures.inc({ room, reason }, 0));
+  ['left', 'socket_closed', 'heartbeat_timeout', 'hard_timeout', 'admin_evict', 'admin_clear', 'shutdown']
+    .forEach(reason => metrics.releases.inc({ room, reason }, 0));
+}
+
+roomEvents.on('release', ({ roomId, reason, durationMs }) => {
+  metrics.releases.inc({ room: roomId, reason });
+  if (durationMs !== null) {
+    metrics.sessionDuration.observe({ room: roomId }, durationMs / 1000);
+  }
+});
+
+// Occupancy is read at scrape time so every instance reports the same rooms
+onCollect(async () => {
+  let up = 1;
+  metrics.occupied.clear();
+  metrics.waiting.clear();
+  
+  for (const room of ROOMS.keys()) {
+    try {
+      const state = await getState(room);
+      metrics.occupied.set({ room }, state.is_occupied ? 1 : 0);
+      metrics.waiting.set({ room }, state.waiting_line.length);
+    } catch (err) {
+      up = 0;
+    }
+  }
+  
+  metrics.storeUp.set({}, up);
+});
+
+// Recent visit endings and why, newest first, by room, for the admin console
+const recentReleases = new Map([...ROOMS.keys()].map(room => [room, []]));
+roomEvents.on('release', ({ roomId, ...release }) => {
+  const releases = recentReleases.get(roomId);
+  releases.unshift(release);
+  releases.length = Math.min(releases.length, CONFIG.ADMIN_RECENT_RELEASES);
+});
+
+/**
+ * Push lock transitions to live listeners as they happen
+ */
+roomEvents.on('change', (state, roomId) => {
+  publishStatus(roomId, publicStatus(state));
+});
+
+/**
+ * Re-read the store for every room anyone is listening to
+ * Catches minute ticks and changes made by other server instances.
+ */
+const statusSync = setInterval(async () => {
+  for (const room of ROOMS.keys()) {
+    if (!hasClients(room)) continue;
+    
+    try {
+      publishStatus(room, publicStatus(await getState(room)));
+    } catch (err) {
+      console.error(`[EVENTS] Status sync failed in ${room}:`, err.message);
+    }
+  }
+}, CONFIG.EVENTS_SYNC_INTERVAL);
+
+const keepAlive = setInterval(sendKeepAlive, CONFIG.EVENTS_KEEPALIVE);
+
 // ============================================================
 // API ENDPOINTS
 // ============================================================
 
+// Visitor routes, served for the default room at /api and for every
+// room at /api/rooms/:roomId; `req.room` is the room asked for
+const api = express.Router();
+
+/**
+ * Find the room a request is for, or answer 404
+ */
+function resolveRoom(req, res, next) {
+  req.room = ROOMS.get(req.params.roomId || DEFAULT_ROOM_ID);
+  
+  if (!req.room) {
+    return res.status(404).json({ success: false, error: 'No such room' });
+  }
+  next();
+}
+
 /**
  * GET /api/status
  * Check room occupancy status
  */
-app.get('/api/status', async (req, res) => {
+api.get('/status', async (req, res) => {
   try {
-    const state = await getState();
-    
-    const response = {
-      occupied: state.is_occupied
-    };
-    
-    // If occupied, include how long (rounded to minutes)
-    if (state.is_occupied && state.occupied_since) {
-      const elapsed = Date.now() - state.occupied_since;
-      response.occupiedMinutes = Math.floor(elapsed / 60000);
-    }
-    
-    res.json(response);
+    const state = await getState(req.room.id);
+    res.json(publicStatus(state));
+  } catch (err) {
+    sendError(res, '/api/status', err);
+  }
+});
+
+/**
+ * GET /api/events
+ * Live room status as Server-Sent Events
+ */
+api.get('/events', refuseWhileClosing, async (req, res) => {
+  try {
+    const state = await getState(req.room.id);
+    addClient(req.room.id, res, publicStatus(state), CONFIG.EVENTS_RETRY);
   } catch (err) {
-    console.error('Error in /api/status:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, '/api/events', err);
   }
 });
 
+/**
+ * What the occupant needs to start (or pick up) a visit
+ * The previous content is as of the moment they got in.
+ */
+function visitResponse(room, sessionId, state) {
+  return {
+    success: true,
+    sessionId,
+    resumeToken: state.resume_token,
+    content: {
+      text: state.current_text,
+      drawing: parseStoredDrawing(state.current_drawing)
+    },
+    ...leaseTiming(room, state.occupied_since),
+    config: {
+      heartbeatInterval: CONFIG.HEARTBEAT_INTERVAL,
+      leaseWarningAt: CONFIG.LEASE_WARNING_AT,
+      leaseFinalAt: CONFIG.LEASE_FINAL_AT,
+      maxTextLength: room.maxTextLength,
+      drawingEnabled: room.drawingEnabled,
+      canvasWidth: CONFIG.DRAWING_MAX_WIDTH,
+      canvasHeight: CONFIG.DRAWING_MAX_HEIGHT,
+      presencePath: CONFIG.PRESENCE_ENABLED ? `${room.apiBase}/presence` : null
+    }
+  };
+}
+
+/**
+ * A page holding the room unloaded: it may be closing, or reloading
+ * What it sent is kept as the draft, and the visit ends after RESUME_GRACE
+ * unless the page comes back and resumes it. Where timers don't survive,
+ * the heartbeat timeout ends it instead.
+ */
+async function holdForResume(room, sessionId, content) {
+  let draft = null;
+  if (content) {
+    const checked = await sanitizeContent(room, content, 'draft');
+    draft = checked.content || null;
+  }
+  
+  const result = await updateHeartbeat(room.id, sessionId, draft);
+  if (!result.success) return result;
+  
+  clearTimeout(pendingReleases.get(sessionId));
+  pendingReleases.set(sessionId, setTimeout(async () => {
+    pendingReleases.delete(sessionId);
+    try {
+      // A resumed visit has a new session ID, so this finds nothing to release
+      const released = await releaseLock(room.id, sessionId, null, { archive: ARCHIVE });
+      if (released.success && !released.alreadyLeft) {
+        console.log(`[LEAVE] Page didn't come back, session ended: ${sessionId.slice(0, 8)}...`);
+      }
+    } catch (err) {
+      console.error('[LEAVE] Release after unload failed:', err.message);
+    }
+  }, CONFIG.RESUME_GRACE));
+  
+  return result;
+}
+
 /**
  * POST /api/enter
  * Attempt to enter the room
+ * Visitors called from the line pass their `ticket`.
  */
-app.post('/api/enter', async (req, res) => {
-  const ip = req.ip || req.connection.remoteAddress;
+api.post('/enter', refuseWhileClosing, async (req, res) => {
+  const { ticket } = req.body;
   
-  // Rate limiting
-  if (!rateLimit(ip, 'entry')) {
-    return res.status(429).json({ 
-      success: false, 
-      error: 'Too many attempts. Please wait.' 
-    });
+  if (!(await limiter.allow('enter', req, res))) {
+    metrics.entryFailures.inc({ room: req.room.id, reason: 'rate_limited' });
+    return;
   }
   
   try {
@@ -144,55 +587,183 @@ app.post('/api/enter', async (req, res) => {
     const sessionId = uuidv4();
     
     // Attempt to acquire lock
-    const result = await acquireLock(sessionId);
+    const result = await acquireLock(req.room.id, sessionId, ticket, LINE);
     
+    // Lost the race (or found someone inside or in line): 409 with the reason
     if (!result.success) {
-      return res.json({ 
+      metrics.entryFailures.inc({ room: req.room.id, reason: result.reason });
+      return res.status(409).json({ 
+        success: false, 
+        reason: result.reason,
+        error: ENTRY_ERRORS[result.reason]
+      });
+    }
+    
+    console.log(`[ENTRY] New session in ${req.room.id}: ${sessionId.slice(0, 8)}... from ${req.ip}`);
+    metrics.entries.inc({ room: req.room.id });
+    localSessions.set(req.room.id, sessionId);
+    
+    res.json(visitResponse(req.room, sessionId, result.state));
+  } catch (err) {
+    if (err instanceof StoreUnavailableError) {
+      metrics.entryFailures.inc({ room: req.room.id, reason: 'unavailable' });
+    } else if (err instanceof StoreContentionError) {
+      metrics.entryFailures.inc({ room: req.room.id, reason: 'contention' });
+    }
+    sendError(res, '/api/enter', err, { success: false });
+  }
+});
+
+/**
+ * POST /api/resume
+ * Pick a visit up again after the page reloaded
+ * Takes the `resumeToken` from /api/enter (or the last resume) and answers
+ * like /api/enter, with a new session ID and token and the same deadline.
+ */
+api.post('/resume', refuseWhileClosing, async (req, res) => {
+  const { resumeToken } = req.body;
+  
+  if (!resumeToken || typeof resumeToken !== 'string') {
+    return res.status(400).json({ success: false, error: 'Missing resume token' });
+  }
+  
+  if (!(await limiter.allow('resume', req, res))) return;
+  
+  try {
+    const sessionId = uuidv4();
+    const result = await resumeLock(req.room.id, resumeToken, sessionId);
+    
+    if (!result.success) {
+      return res.status(409).json({ 
         success: false, 
-        error: 'Room is occupied' 
+        reason: result.reason,
+        error: 'That visit is over'
       });
     }
     
-    // Get previous content to show the new visitor
-    const content = await getRoomContent();
+    console.log(`[ENTRY] Session resumed in ${req.room.id}: ${sessionId.slice(0, 8)}... from ${req.ip}`);
+    localSessions.set(req.room.id, sessionId);
+    
+    res.json(visitResponse(req.room, sessionId, result.state));
+  } catch (err) {
+    sendError(res, '/api/resume', err, { success: false });
+  }
+});
+
+/**
+ * POST /api/queue
+ * Take an anonymous ticket and join the back of the line
+ */
+api.post('/queue', refuseWhileClosing, async (req, res) => {
+  if (!(await limiter.allow('queue', req, res))) return;
+  
+  try {
+    const ticket = uuidv4();
+    const result = await joinLine(req.room.id, ticket, LINE);
+    
+    if (!result.success) {
+      return res.status(409).json({ 
+        success: false, 
+        reason: result.reason,
+        error: 'The line is full. Please come back later.'
+      });
+    }
     
-    console.log(`[ENTRY] New session: ${sessionId.slice(0, 8)}... from ${ip}`);
+    console.log(`[QUEUE] Ticket issued: ${ticket.slice(0, 8)}... (position ${result.position})`);
     
     res.json({
       success: true,
-      sessionId,
-      content,
+      ticket,
+      position: result.position,
       config: {
-        heartbeatInterval: CONFIG.HEARTBEAT_INTERVAL,
-        maxTextLength: CONFIG.MAX_TEXT_LENGTH
+        pollInterval: CONFIG.QUEUE_POLL_INTERVAL
       }
     });
   } catch (err) {
-    console.error('Error in /api/enter:', err);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    sendError(res, '/api/queue', err, { success: false });
   }
 });
 
 /**
- * POST /api/heartbeat
- * Keep the session alive
+ * GET /api/queue/:ticket
+ * Report place in line and keep the ticket alive
  */
-app.post('/api/heartbeat', async (req, res) => {
-  const { sessionId, content } = req.body;
-  const ip = req.ip || req.connection.remoteAddress;
+api.get('/queue/:ticket', async (req, res) => {
+  if (!(await limiter.allow('ticket', req, res))) return;
   
-  if (!sessionId) {
-    return res.status(400).json({ success: false, error: 'Missing session ID' });
+  try {
+    const result = await checkTicket(req.room.id, req.params.ticket, LINE);
+    
+    if (!result.success) {
+      return res.status(404).json({ 
+        success: false, 
+        expired: true,
+        error: 'Ticket expired or unknown'
+      });
+    }
+    
+    // Worst case: the current visit runs to the hard limit, and so does
+    // every visit ahead of us
+    const now = Date.now();
+    const currentRemaining = result.occupiedSince
+      ? Math.max(0, result.occupiedSince + req.room.hardSessionTimeout - now)
+      : 0;
+    const estimatedWait = result.yourTurn
+      ? 0
+      : currentRemaining + (result.position - 1) * req.room.hardSessionTimeout;
+    
+    res.json({
+      success: true,
+      position: result.position,
+      yourTurn: result.yourTurn,
+      claimExpiresAt: result.yourTurn ? result.claimExpiresAt : null,
+      estimatedWait
+    });
+  } catch (err) {
+    sendError(res, '/api/queue/:ticket', err, { success: false });
   }
-  
-  // Rate limiting
-  if (!rateLimit(ip, 'heartbeat')) {
-    return res.status(429).json({ success: false, error: 'Too many heartbeats' });
+});
+
+/**
+ * DELETE /api/queue/:ticket
+ * Step out of the line
+ */
+api.delete('/queue/:ticket', async (req, res) => {
+  try {
+    const result = await leaveLine(req.room.id, req.params.ticket, LINE);
+    res.json({ success: result.success });
+  } catch (err) {
+    sendError(res, '/api/queue/:ticket', err, { success: false });
   }
-  
+});
+
+/**
+ * POST /api/heartbeat
+ * Keep the session alive
+ * An optional `content` draft is autosaved so a timed-out visit still
+ * leaves something behind.
+ */
+api.post('/heartbeat', beaconBody, async (req, res) => {
   try {
+    const { sessionId, content } = req.body;
+    
+    if (!sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing session ID' });
+    }
+    
+    if (!(await limiter.allow('heartbeat', req, res))) return;
+    
+    // A refused draft doesn't end the visit; the previous draft stands
+    let draft = null;
+    let draftError = null;
+    if (content) {
+      const checked = await sanitizeContent(req.room, content, 'draft');
+      draft = checked.content || null;
+      draftError = checked.code || null;
+    }
+    
     // Update heartbeat
-    const result = await updateHeartbeat(sessionId);
+    const result = await updateHeartbeat(req.room.id, sessionId, draft);
     
     if (!result.success) {
       return res.json({ 
@@ -202,105 +773,342 @@ app.post('/api/heartbeat', async (req, res) => {
       });
     }
     
-    res.json({ success: true });
+    localSessions.set(req.room.id, sessionId);
+    
+    // While shutting down, ask the occupant to leave with their content
+    res.json({ 
+      success: true, 
+      ...leaseTiming(req.room, result.occupiedSince),
+      ...(draftError && { draftError }),
+      ...(shuttingDown && { closing: true })
+    });
   } catch (err) {
-    console.error('Error in /api/heartbeat:', err);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    sendError(res, '/api/heartbeat', err, { success: false });
   }
 });
 
 /**
  * POST /api/leave
  * Leave the room and save content
+ * Also accepts sendBeacon payloads; repeating a leave is harmless. With
+ * `unloading`, the visit is held for a reload instead (see holdForResume);
+ * that renews the lease and saves a draft, so it counts as a heartbeat.
  */
-app.post('/api/leave', async (req, res) => {
-  const { sessionId, content } = req.body;
-  
-  if (!sessionId) {
-    return res.status(400).json({ success: false, error: 'Missing session ID' });
-  }
-  
+api.post('/leave', beaconBody, async (req, res) => {
   try {
+    const { sessionId, content, unloading } = req.body;
+    
+    if (!sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing session ID' });
+    }
+    
+    // Sent as the page unloads: hold the visit in case it's a reload
+    if (unloading) {
+      if (!(await limiter.allow('heartbeat', req, res))) return;
+      const result = await holdForResume(req.room, sessionId, content);
+      return res.json({ success: result.success, held: result.success });
+    }
+    
     // Validate and sanitize content
     let sanitizedContent = null;
     if (content) {
-      sanitizedContent = {
-        text: typeof content.text === 'string' 
-          ? content.text.slice(0, CONFIG.MAX_TEXT_LENGTH) 
-          : '',
-        drawing: content.drawing || null
-      };
+      const checked = await sanitizeContent(req.room, content);
+      
+      // Refuse rather than silently drop, so the visitor can decide
+      if (checked.code) {
+        console.log(`[LEAVE] Content refused for session ${sessionId.slice(0, 8)}...: ${checked.code}`);
+        return res.status(422).json({ 
+          success: false, 
+          code: checked.code, 
+          error: CONTENT_ERRORS[checked.code] 
+        });
+      }
+      
+      sanitizedContent = checked.content;
     }
     
     // Release lock and save content
-    const result = await releaseLock(sessionId, sanitizedContent);
+    const result = await releaseLock(req.room.id, sessionId, sanitizedContent, { archive: ARCHIVE });
     
     if (!result.success) {
       console.log(`[LEAVE] Failed for session ${sessionId.slice(0, 8)}...: ${result.reason}`);
       return res.json({ success: false, error: result.reason });
     }
     
+    if (result.alreadyLeft) {
+      return res.json({ success: true, alreadyLeft: true });
+    }
+    
     console.log(`[LEAVE] Session ended: ${sessionId.slice(0, 8)}...`);
+    if (localSessions.get(req.room.id) === sessionId) {
+      localSessions.delete(req.room.id);
+    }
     res.json({ success: true });
   } catch (err) {
-    console.error('Error in /api/leave:', err);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    sendError(res, '/api/leave', err, { success: false });
   }
 });
 
+// Admin routes, all behind the secret header and the audit log, served
+// for the default room at /api/admin and for every room at
+// /api/rooms/:roomId/admin
+const admin = express.Router();
+
+if (ADMIN_SECRET) {
+  admin.use(createAdminGuard({
+    secret: ADMIN_SECRET,
+    maxFailures: CONFIG.ADMIN_MAX_FAILURES,
+    failureWindow: CONFIG.ADMIN_FAILURE_WINDOW
+  }));
+} else {
+  admin.use((req, res) => {
+    res.status(404).json({ success: false, error: 'Admin routes are disabled' });
+  });
+}
+
 /**
- * POST /api/admin/clear
- * Emergency room clearing (admin only)
+ * The room as admin endpoints report it
+ * Times are from the server's clock; `now` is included to compare against.
+ * Session IDs, the resume token and tickets would let whoever sees them
+ * take over a visit or a place in line, and the draft is still being
+ * written, so `state` leaves them out.
  */
-app.post('/api/admin/clear', async (req, res) => {
-  const { secret } = req.body;
+function adminSnapshot(room, state) {
+  const now = Date.now();
+  const {
+    session_id, last_session_id, resume_token,
+    draft_text, draft_drawing, draft_saved_at,
+    waiting_line,
+    ...visible
+  } = state;
   
-  if (secret !== CONFIG.ADMIN_SECRET) {
-    return res.status(403).json({ success: false, error: 'Forbidden' });
+  return {
+    now,
+    state: visible,
+    lock: state.is_occupied ? {
+      sessionPrefix: state.session_id.slice(0, 8),
+      occupiedSince: state.occupied_since,
+      heartbeatAgeMs: now - state.last_heartbeat_at,
+      hardTimeoutInMs: Math.max(0, state.occupied_since + room.hardSessionTimeout - now)
+    } : null,
+    content: {
+      text: state.current_text,
+      drawing: parseStoredDrawing(state.current_drawing)
+    },
+    waiting: state.waiting_line.length
+  };
+}
+
+/**
+ * Answer an admin store operation with the room as it now stands
+ */
+function sendAdminResult(req, res, result, message) {
+  if (!result.success) {
+    return res.status(409).json({ success: false, reason: result.reason });
   }
   
+  console.log(`[ADMIN] ${message} in ${req.room.id}`);
+  res.json({ success: true, ...adminSnapshot(req.room, result.state) });
+}
+
+/**
+ * POST /api/admin/clear
+ * Emergency room clearing: evict the occupant and clear the content (admin only)
+ */
+admin.post('/clear', async (req, res) => {
   try {
-    await forceClear();
-    console.log('[ADMIN] Room forcibly cleared');
-    
-    res.json({ success: true });
+    sendAdminResult(req, res, await forceClear(req.room.id), 'Room forcibly cleared');
   } catch (err) {
-    console.error('Error in /api/admin/clear:', err);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    sendError(res, '/api/admin/clear', err, { success: false });
   }
 });
 
 /**
- * GET /api/admin/status
- * Full room status (admin only)
+ * POST /api/admin/evict
+ * End the current visit without clearing the content (admin only)
+ * Body `{ "draft": "discard" }` drops the occupant's draft instead of
+ * leaving it behind.
+ */
+admin.post('/evict', async (req, res) => {
+  const keepDraft = !req.body || req.body.draft !== 'discard';
+  
+  try {
+    const result = await evictOccupant(req.room.id, { keepDraft, archive: ARCHIVE });
+    sendAdminResult(req, res, result, `Occupant evicted, draft ${keepDraft ? 'kept' : 'discarded'}`);
+  } catch (err) {
+    sendError(res, '/api/admin/evict', err, { success: false });
+  }
+});
+
+/**
+ * POST /api/admin/content/clear
+ * Take the content on display down without touching the lock (admin only)
+ */
+admin.post('/content/clear', async (req, res) => {
+  try {
+    sendAdminResult(req, res, await clearContent(req.room.id), 'Content cleared');
+  } catch (err) {
+    sendError(res, '/api/admin/content/clear', err, { success: false });
+  }
+});
+
+/**
+ * PUT /api/admin/content
+ * Replace the content on display with the admin's own `{ text, drawing }`
+ * Checked like a visitor's content, but not moderated (admin only)
  */
-app.get('/api/admin/status', async (req, res) => {
-  const secret = req.headers['x-admin-secret'];
+admin.put('/content', async (req, res) => {
+  if (!req.body || typeof req.body.text !== 'string') {
+    return res.status(400).json({ success: false, error: 'Missing text' });
+  }
   
-  if (secret !== CONFIG.ADMIN_SECRET) {
-    return res.status(403).json({ success: false, error: 'Forbidden' });
+  const checked = validateContent(req.room, req.body);
+  if (checked.code) {
+    return res.status(422).json({ success: false, code: checked.code, error: CONTENT_ERRORS[checked.code] });
   }
   
   try {
-    const state = await getState();
+    sendAdminResult(req, res, await replaceContent(req.room.id, checked.content, ARCHIVE), 'Content replaced');
+  } catch (err) {
+    sendError(res, '/api/admin/content', err, { success: false });
+  }
+});
+
+/**
+ * GET /api/admin/status
+ * Full room status (admin only)
+ */
+admin.get('/status', async (req, res) => {
+  try {
+    const state = await getState(req.room.id);
+    
     res.json({ 
       success: true, 
-      state,
-      config: CONFIG
+      ...adminSnapshot(req.room, state),
+      room: req.room,
+      releases: recentReleases.get(req.room.id),
+      hotSpots: limiter.hotSpots(CONFIG.ADMIN_HOT_SPOTS),
+      moderation: moderator.recentDecisions(),
+      config: VISIBLE_CONFIG
     });
   } catch (err) {
-    console.error('Error in /api/admin/status:', err);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    sendError(res, '/api/admin/status', err, { success: false });
+  }
+});
+
+/**
+ * GET /api/admin/archive
+ * Recently left artifacts, newest first (admin only)
+ */
+admin.get('/archive', async (req, res) => {
+  try {
+    const artifacts = await listArchive(req.room.id, ARCHIVE);
+    res.json({
+      success: true,
+      artifacts: artifacts.map(artifact => ({
+        id: artifact.id,
+        text: artifact.text,
+        drawing: parseStoredDrawing(artifact.drawing),
+        reason: artifact.reason,
+        leftAt: artifact.left_at,
+        hidden: artifact.hidden,
+        current: artifact.current
+      }))
+    });
+  } catch (err) {
+    sendError(res, '/api/admin/archive', err, { success: false });
+  }
+});
+
+/**
+ * POST /api/admin/archive/hide
+ * Take the displayed artifact down without touching the lock (admin only)
+ */
+admin.post('/archive/hide', async (req, res) => {
+  try {
+    const result = await hideCurrentArtifact(req.room.id);
+    
+    if (!result.success) {
+      return res.status(409).json({ success: false, reason: result.reason });
+    }
+    
+    console.log(`[ADMIN] Artifact hidden in ${req.room.id}: ${result.hiddenId ? result.hiddenId.slice(0, 8) + '...' : '(not archived)'}`);
+    res.json({ success: true, hiddenId: result.hiddenId });
+  } catch (err) {
+    sendError(res, '/api/admin/archive/hide', err, { success: false });
+  }
+});
+
+/**
+ * POST /api/admin/archive/:id/restore
+ * Roll the room back to an archived artifact without touching the lock (admin only)
+ */
+admin.post('/archive/:id/restore', async (req, res) => {
+  try {
+    const result = await restoreArtifact(req.room.id, req.params.id, ARCHIVE);
+    
+    if (!result.success) {
+      const status = result.reason === 'not_found' ? 404 : 409;
+      return res.status(status).json({ success: false, reason: result.reason });
+    }
+    
+    console.log(`[ADMIN] Artifact restored in ${req.room.id}: ${req.params.id.slice(0, 8)}...`);
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, '/api/admin/archive/:id/restore', err, { success: false });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Most recent admin requests for every room, newest first (admin only)
+ */
+admin.get('/audit', async (req, res) => {
+  try {
+    const entries = await listAudit(CONFIG.ADMIN_AUDIT_LIMIT);
+    res.json({ success: true, entries });
+  } catch (err) {
+    sendError(res, '/api/admin/audit', err, { success: false });
   }
 });
 
+// Admin routes first, so /api/rooms/:roomId/admin isn't taken for a visitor route
+app.use('/api/rooms/:roomId/admin', resolveRoom, admin);
+app.use('/api/admin', resolveRoom, admin);
+app.use('/api/rooms/:roomId', resolveRoom, api);
+app.use('/api', resolveRoom, api);
+
+/**
+ * GET /metrics
+ * Room health in the Prometheus text format
+ */
+if (CONFIG.METRICS_PATH) {
+  app.get(CONFIG.METRICS_PATH, async (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+  });
+}
+
+// Admin console
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/admin.html'));
+});
+
+// Named rooms share the main page, which reads the room from the path
+app.get('/r/:roomId', (req, res) => {
+  if (!ROOMS.has(req.params.roomId)) {
+    return res.status(404).type('text/plain').send('There is no room here.');
+  }
+  res.sendFile(path.join(__dirname, '../public/index.html'));
+});
+
 // Serve the main page for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════╗
 ║         THE INTERNET ROOM                 ║
@@ -312,3 +1120,105 @@ app.listen(PORT, () => {
 ╚═══════════════════════════════════════════╝
   `);
 });
+
+const presence = CONFIG.PRESENCE_ENABLED && attachPresence(server, {
+  roomFor: pathname => [...ROOMS.values()].find(room => pathname === `${room.apiBase}/presence`),
+  sanitizeDraft: sanitizeContent,
+  archive: ARCHIVE,
+  pingInterval: CONFIG.PRESENCE_PING_INTERVAL,
+  closeGrace: CONFIG.PRESENCE_CLOSE_GRACE,
+  isHeld: sessionId => pendingReleases.has(sessionId)
+});
+
+// ============================================================
+// SHUTDOWN
+// ============================================================
+
+/**
+ * Occupants this process is serving, as `{ room, sessionId }`
+ * Other servers sharing the store keep their own occupants.
+ */
+async function localOccupants() {
+  const occupants = [];
+  
+  for (const room of ROOMS.values()) {
+    try {
+      const state = await getState(room.id);
+      const sessionId = state.session_id;
+      if (sessionId && (localSessions.get(room.id) === sessionId || hasLease(sessionId))) {
+        occupants.push({ room, sessionId });
+      }
+    } catch (err) {
+      console.error(`[SHUTDOWN] Could not read ${room.id}:`, err.message);
+    }
+  }
+  
+  return occupants;
+}
+
+/**
+ * Hand the room back and stop, on SIGTERM or SIGINT
+ * Entries stop at once. Occupants are told the room is closing (pushed
+ * over presence, or in their next heartbeat) and get SHUTDOWN_GRACE ms to
+ * leave with their content, plus HEARTBEAT_INTERVAL if any of them only
+ * hears through heartbeats; anyone still inside then leaves their last
+ * draft behind. In-flight requests finish before the process exits, or
+ * SHUTDOWN_TIMEOUT cuts them off.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[SHUTDOWN] ${signal} received, closing the room`);
+  
+  setTimeout(() => {
+    console.error('[SHUTDOWN] Requests still running, exiting anyway');
+    process.exit(1);
+  }, CONFIG.SHUTDOWN_TIMEOUT).unref();
+  
+  clearInterval(staleSweep);
+  clearInterval(statusSync);
+  clearInterval(keepAlive);
+  limiter.stop();
+  
+  // Unloaded pages won't reload against this server; release them below
+  pendingReleases.forEach(clearTimeout);
+  
+  let occupants = await localOccupants();
+  if (occupants.length > 0) {
+    if (presence) announceClosing();
+    
+    // Without a socket, the news waits for the next heartbeat
+    const heard = occupants.every(({ sessionId }) => hasLease(sessionId));
+    const deadline = Date.now() + CONFIG.SHUTDOWN_GRACE + (heard ? 0 : CONFIG.HEARTBEAT_INTERVAL);
+    
+    // Stop waiting as soon as everyone has left
+    while (occupants.length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(SHUTDOWN_POLL, deadline - Date.now())));
+      occupants = await localOccupants();
+    }
+  }
+  
+  // Whoever didn't make it out leaves their last draft behind
+  for (const { room, sessionId } of await localOccupants()) {
+    try {
+      const result = await releaseLock(room.id, sessionId, null, { archive: ARCHIVE, reason: 'shutdown' });
+      if (result.success) {
+        console.log(`[SHUTDOWN] Released ${room.id}: ${sessionId.slice(0, 8)}...`);
+      }
+    } catch (err) {
+      // The lease expires by itself once heartbeats stop
+      console.error(`[SHUTDOWN] Could not release ${room.id}:`, err.message);
+    }
+  }
+  
+  if (presence) closePresence(presence);
+  closeStreams();
+  
+  server.close(() => {
+    console.log('[SHUTDOWN] Drained, exiting');
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,164 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry rendered in the Prometheus text format, so the room
+ * doesn't need a metrics library. Labels describe what happened (a
+ * reason, a store operation), never who it happened to.
+ */
+
+// Every metric created, in the order it was created
+const registry = [];
+
+// Run before each scrape to refresh gauges
+const collectors = [];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Register a metric and return it
+ */
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * A value that only goes up
+ * `inc(labels, 0)` makes a label set show up before it first happens.
+ */
+export function createCounter({ name, help }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+
+    lines() {
+      return [...series].map(([key, value]) => `${name}${key} ${formatValue(value)}`);
+    }
+  });
+}
+
+/**
+ * A value that is set, such as current occupancy
+ */
+export function createGauge({ name, help }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'gauge',
+
+    set(labels, value) {
+      series.set(formatLabels(labels), value);
+    },
+
+    clear() {
+      series.clear();
+    },
+
+    lines() {
+      return [...series].map(([key, value]) => `${name}${key} ${formatValue(value)}`);
+    }
+  });
+}
+
+/**
+ * Observations counted into cumulative buckets (upper bounds, ascending)
+ */
+export function createHistogram({ name, help, buckets }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    lines() {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * Run `collect` before every scrape, e.g. to read the store for gauges
+ * A collector that throws doesn't stop the scrape.
+ */
+export function onCollect(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Everything registered, in the Prometheus text exposition format
+ */
+export async function renderMetrics() {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (err) {
+      console.error('[METRICS] Collector failed:', err.message);
+    }
+  }
+
+  return registry
+    .map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n'))
+    .join('\n') + '\n';
+}
+
+/**
+ * Seconds elapsed since a `performance.now()` reading
+ */
+export function secondsSince(start) {
+  return (performance.now() - start) / 1000;
+}
@@ -0,0 +1,307 @@
+/**
+ * Content moderation
+ *
+ * Text left for the next stranger runs through a pipeline of filters
+ * before it is saved. Each filter is `{ name, run(text) }` and returns
+ * (or resolves to) one of:
+ *   { action: 'pass' }
+ *   { action: 'rewrite', text, reason }
+ *   { action: 'reject', reason }
+ * Rewrites feed into the next filter; the first reject stops the pipeline.
+ * A filter that throws, or answers anything else, counts as a reject, so a
+ * broken filter never lets text through. Every rewrite and reject of text being left is logged for
+ * the admin, without the text itself; drafts are checked again with every
+ * heartbeat, so their decisions aren't.
+ */
+
+import fs from 'fs';
+import { ConfigError } from './config.js';
+
+// What the visitor is told when a filter rejects their text
+export const MODERATION_ERRORS = {
+  content_rejected: "That message can't be left here. Try rewording it."
+};
+
+// How many decisions the admin log keeps
+const LOG_SIZE = 50;
+
+// What a filter may decide
+const ACTIONS = new Set(['pass', 'rewrite', 'reject']);
+
+// Bare domains worth catching without a scheme
+const LINK_TLDS = 'com|net|org|io|co|me|ly|gg|xyz|app|dev|info|ru|uk|de|tv|link|site|online';
+
+const PATTERNS = {
+  // C0/C1 control characters, except tab and newline
+  control: /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g,
+  // Bidi overrides and invisible characters (ZWJ is kept for emoji)
+  invisible: /[\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g,
+  // Runs of more than two stacked combining marks ("zalgo")
+  zalgo: /(\p{M}{2})\p{M}+/gu,
+  url: /\b(?:https?:\/\/|www\.)\S+/gi,
+  domain: new RegExp(`(?<![@\\w.-])[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${LINK_TLDS})\\b(?:\\/\\S*)?`, 'gi'),
+  email: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+  // Nine or more digits, optionally separated: phone numbers, not years
+  phone: /\+?\d(?:[\s().-]*\d){8,14}/g
+};
+
+/**
+ * Apply a replacement and report it as a rewrite if anything changed
+ */
+function rewriteIfChanged(text, replaced, reason) {
+  return replaced === text
+    ? { action: 'pass' }
+    : { action: 'rewrite', text: replaced, reason };
+}
+
+/**
+ * Unicode normalisation, control characters and zalgo
+ */
+export function normalizeFilter() {
+  return {
+    name: 'normalize',
+    run(text) {
+      const replaced = text
+        .normalize('NFC')
+        .replace(PATTERNS.control, '')
+        .replace(PATTERNS.invisible, '')
+        .replace(PATTERNS.zalgo, '$1');
+      return rewriteIfChanged(text, replaced, 'control or combining characters removed');
+    }
+  };
+}
+
+/**
+ * Strip URLs and bare domains
+ */
+export function linkFilter() {
+  return {
+    name: 'links',
+    run(text) {
+      const replaced = text
+        .replace(PATTERNS.url, '[link]')
+        .replace(PATTERNS.domain, '[link]');
+      return rewriteIfChanged(text, replaced, 'link removed');
+    }
+  };
+}
+
+/**
+ * Redact email addresses and phone numbers
+ */
+export function piiFilter() {
+  return {
+    name: 'pii',
+    run(text) {
+      const replaced = text
+        .replace(PATTERNS.email, '[email]')
+        .replace(PATTERNS.phone, '[number]');
+      return rewriteIfChanged(text, replaced, 'personal details redacted');
+    }
+  };
+}
+
+/**
+ * Mask or reject words from a local list
+ * `mode` is 'mask' (replace each letter with •) or 'reject'.
+ */
+export function wordlistFilter({ words, mode = 'mask' }) {
+  const escaped = words
+    .map(word => word.trim())
+    .filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  
+  if (escaped.length === 0) {
+    return { name: 'wordlist', run: () => ({ action: 'pass' }) };
+  }
+  
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  
+  return {
+    name: 'wordlist',
+    run(text) {
+      if (mode === 'reject') {
+        pattern.lastIndex = 0;
+        return pattern.test(text)
+          ? { action: 'reject', reason: 'listed word' }
+          : { action: 'pass' };
+      }
+      const replaced = text.replace(pattern, match => '•'.repeat([...match].length));
+      return rewriteIfChanged(text, replaced, 'listed word masked');
+    }
+  };
+}
+
+/**
+ * Read a wordlist file: one word or phrase per line, # for comments
+ * Throws ConfigError if the file can't be read.
+ */
+export function readWordlist(filePath) {
+  if (!filePath) return [];
+  
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new ConfigError([`MODERATION_WORDLIST_FILE ${filePath} could not be read: ${err.message}`]);
+  }
+  
+  return raw
+    .split('\n')
+    .filter(line => !line.trim().startsWith('#'));
+}
+
+const BUILT_IN_FILTERS = {
+  normalize: () => normalizeFilter(),
+  links: () => linkFilter(),
+  pii: () => piiFilter(),
+  wordlist: (options) => wordlistFilter({
+    words: readWordlist(options.wordlistFile),
+    mode: options.wordlistMode
+  })
+};
+
+/**
+ * Whether a filter's answer is one the pipeline understands
+ */
+function isDecision(decision) {
+  if (!decision || !ACTIONS.has(decision.action)) return false;
+  return decision.action !== 'rewrite' || typeof decision.text === 'string';
+}
+
+/**
+ * Whether a custom filter has what the pipeline calls
+ */
+function isFilter(filter) {
+  return Boolean(filter) && typeof filter.name === 'string' && filter.name !== '' && typeof filter.run === 'function';
+}
+
+/**
+ * Build the pipeline from built-in filter names, in order
+ * Custom filters can be appended with `addFilter`. Throws ConfigError
+ * listing unknown filters and unreadable files.
+ */
+export function createModerator(options) {
+  const problems = [];
+  const filters = [];
+  
+  for (const name of options.filters) {
+    const factory = BUILT_IN_FILTERS[name];
+    if (!factory) {
+      problems.push(`MODERATION_FILTERS has no filter "${name}" (expected one of: ${Object.keys(BUILT_IN_FILTERS).join(', ')})`);
+      continue;
+    }
+    try {
+      filters.push(factory(options));
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      problems.push(...err.problems);
+    }
+  }
+  
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  
+  const log = [];
+  
+  function record(source, filter, decision) {
+    if (source !== 'leave') return;
+    
+    const entry = {
+      at: Date.now(),
+      source,
+      filter: filter.name,
+      action: decision.action,
+      reason: decision.reason || 'no reason given'
+    };
+    log.unshift(entry);
+    log.length = Math.min(log.length, LOG_SIZE);
+    console.log(`[MODERATION] ${source}/${entry.filter}: ${entry.action} (${entry.reason})`);
+  }
+  
+  return {
+    /**
+     * Run text through every filter
+     * Returns `{ text }` with the final text, or `{ rejected: true, reason }`.
+     * `source` ('leave', 'draft') says whether decisions are logged.
+     */
+    async moderate(text, source = 'leave') {
+      let current = text;
+      
+      for (const filter of filters) {
+        let decision;
+        try {
+          decision = await filter.run(current);
+        } catch (err) {
+          console.error(`[MODERATION] ${source}/${filter.name} failed, rejecting: ${err.message}`);
+          decision = { action: 'reject', reason: 'filter failed' };
+        }
+        
+        if (!isDecision(decision)) {
+          console.error(`[MODERATION] ${source}/${filter.name} gave no usable decision, rejecting`);
+          decision = { action: 'reject', reason: 'filter failed' };
+        }
+        
+        if (decision.action === 'reject') {
+          record(source, filter, decision);
+          return { rejected: true, reason: decision.reason };
+        }
+        if (decision.action === 'rewrite') {
+          record(source, filter, decision);
+          current = decision.text;
+        }
+      }
+      
+      return { text: current };
+    },
+    
+    addFilter(filter) {
+      filters.push(filter);
+    },
+    
+    /**
+     * Most recent rewrites and rejects, newest first
+     */
+    recentDecisions() {
+      return [...log];
+    }
+  };
+}
+
+/**
+ * Load custom filters from modules
+ * Each module's default export is a filter or an array of filters. Throws
+ * ConfigError listing modules that can't be imported and exports that
+ * aren't filters; nothing is added unless every module loads.
+ */
+export async function loadFilterModules(moderator, modulePaths) {
+  const problems = [];
+  const loaded = [];
+  
+  for (const modulePath of modulePaths) {
+    let exported;
+    try {
+      ({ default: exported } = await import(new URL(modulePath, `file://${process.cwd()}/`).href));
+    } catch (err) {
+      problems.push(`MODERATION_PLUGINS ${modulePath} could not be loaded: ${err.message}`);
+      continue;
+    }
+    
+    const filters = Array.isArray(exported) ? exported : [exported];
+    if (filters.length === 0 || !filters.every(isFilter)) {
+      problems.push(`MODERATION_PLUGINS ${modulePath} must export a filter, or an array of filters, each with a name and a run function`);
+      continue;
+    }
+    loaded.push({ modulePath, filters });
+  }
+  
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  
+  for (const { modulePath, filters } of loaded) {
+    filters.forEach(filter => moderator.addFilter(filter));
+    console.log(`[MODERATION] Loaded ${filters.length} custom filter(s) from ${modulePath}`);
+  }
+}
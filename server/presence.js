@@ -0,0 +1,252 @@
+/**
+ * WebSocket presence channel
+ *
+ * An alternative to HTTP heartbeats: the occupant's open socket is the
+ * lease. Server pings stand in for heartbeats, closing the socket
+ * releases the lock straight away, and termination (hard timeout,
+ * admin clear) is pushed to the client the moment it happens. Each pong
+ * is answered with the lease's remaining time, like a heartbeat response.
+ * Clients send `{ type: 'draft', content }` to autosave their draft.
+ * A socket closed by an unloading page is left alone if `options.isHeld`
+ * says its unload beacon asked to hold the visit for a reload.
+ * Each room has its own presence path; `options.roomFor` maps a path to
+ * its room.
+ */
+
+import { WebSocketServer } from 'ws';
+import { getState, updateHeartbeat, releaseLock, roomEvents } from './store.js';
+
+// Custom close codes (4000-4999 are reserved for applications)
+const CLOSE_REPLACED = 4000;
+const CLOSE_TERMINATED = 4001;
+
+// Browsers close with 1001 when the page unloads
+const CLOSE_GOING_AWAY = 1001;
+
+// Sent while the server shuts down ("Service Restart")
+const CLOSE_RESTARTING = 1012;
+
+// Live sockets by session ID
+const leases = new Map();
+
+/**
+ * Refuse an upgrade with a plain HTTP status
+ */
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Tell the occupant their lease is over and hang up
+ */
+function endLease(ws, reason) {
+  if (ws.ended) return;
+  ws.ended = true;
+  
+  ws.send(JSON.stringify({ type: 'terminated', reason }));
+  ws.close(CLOSE_TERMINATED, reason);
+}
+
+/**
+ * Release the lock held by a socket that went away
+ */
+async function releaseAbandoned(room, sessionId, options) {
+  try {
+    const result = await releaseLock(room.id, sessionId, null, { archive: options.archive, reason: 'socket_closed' });
+    if (result.success) {
+      console.log(`[PRESENCE] Socket closed, lock released: ${sessionId.slice(0, 8)}...`);
+    }
+  } catch (err) {
+    // The heartbeat timeout will clean up once the store is back
+    console.error('[PRESENCE] Release failed:', err.message);
+  }
+}
+
+/**
+ * Tell the occupant how long their lease has left
+ */
+function sendLease(ws, occupiedSince, room) {
+  const remainingMs = Math.max(0, occupiedSince + room.hardSessionTimeout - Date.now());
+  ws.send(JSON.stringify({ type: 'lease', remainingMs }));
+}
+
+/**
+ * Treat an accepted socket as the session's lease
+ */
+function holdLease(ws, room, sessionId, occupiedSince, options) {
+  // A reconnect from the same session replaces the older socket
+  const previous = leases.get(sessionId);
+  if (previous) {
+    previous.replaced = true;
+    previous.close(CLOSE_REPLACED, 'replaced');
+  }
+  
+  ws.isAlive = true;
+  ws.roomId = room.id;
+  leases.set(sessionId, ws);
+  
+  ws.on('pong', async () => {
+    ws.isAlive = true;
+    
+    try {
+      const result = await updateHeartbeat(room.id, sessionId);
+      if (!result.success) {
+        endLease(ws, 'ended');
+      } else if (ws.readyState === ws.OPEN) {
+        sendLease(ws, result.occupiedSince, room);
+      }
+    } catch (err) {
+      console.error('[PRESENCE] Heartbeat failed:', err.message);
+    }
+  });
+  
+  ws.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    
+    // Only `{ type: 'draft', content }` objects mean anything
+    if (!message || typeof message !== 'object' || message.type !== 'draft' || !message.content) return;
+    
+    try {
+      const checked = await options.sanitizeDraft(room, message.content, 'draft');
+      if (checked.code) {
+        ws.send(JSON.stringify({ type: 'draft', saved: false, draftError: checked.code }));
+        return;
+      }
+      
+      const result = await updateHeartbeat(room.id, sessionId, checked.content);
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: 'draft', saved: result.success }));
+      }
+    } catch (err) {
+      console.error('[PRESENCE] Draft save failed:', err.message);
+    }
+  });
+  
+  ws.on('close', (code) => {
+    if (leases.get(sessionId) === ws) {
+      leases.delete(sessionId);
+    }
+    
+    if (ws.replaced || ws.ended) return;
+    
+    // On page unload, give the sendBeacon leave a moment to land first
+    const delay = code === CLOSE_GOING_AWAY ? options.closeGrace : 0;
+    setTimeout(() => {
+      if (options.isHeld(sessionId)) return;
+      releaseAbandoned(room, sessionId, options);
+    }, delay);
+  });
+  
+  ws.on('error', (err) => {
+    console.error('[PRESENCE] Socket error:', err.message);
+  });
+  
+  ws.send(JSON.stringify({ type: 'ready', pingInterval: options.pingInterval }));
+  sendLease(ws, occupiedSince, room);
+}
+
+/**
+ * Whether this process holds the session's presence socket
+ */
+export function hasLease(sessionId) {
+  return leases.has(sessionId);
+}
+
+/**
+ * Warn every occupant connected here that the server is shutting down,
+ * so they can leave with their content while it still answers
+ */
+export function announceClosing() {
+  for (const ws of leases.values()) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type: 'closing' }));
+    }
+  }
+}
+
+/**
+ * Hang up every presence socket and stop pinging
+ * Locks are left alone: shutdown has already released what it should.
+ */
+export function closePresence(wss) {
+  for (const ws of leases.values()) {
+    ws.ended = true;
+    ws.close(CLOSE_RESTARTING, 'restarting');
+  }
+  wss.close();
+}
+
+/**
+ * Accept presence sockets on each room's presence path of an HTTP server
+ */
+export function attachPresence(server, options) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+  
+  server.on('upgrade', async (req, socket, head) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+      return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+    
+    const room = options.roomFor(url.pathname);
+    
+    if (!room) {
+      socket.destroy();
+      return;
+    }
+    
+    const sessionId = url.searchParams.get('sessionId');
+    let state;
+    
+    try {
+      state = await getState(room.id);
+    } catch (err) {
+      return rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+    
+    // Only the current occupant may hold a presence socket
+    if (!sessionId || state.session_id !== sessionId) {
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+    
+    try {
+      wss.handleUpgrade(req, socket, head, (ws) => holdLease(ws, room, sessionId, state.occupied_since, options));
+    } catch (err) {
+      console.error('[PRESENCE] Upgrade failed:', err.message);
+      socket.destroy();
+    }
+  });
+  
+  // Sockets that miss a pong are dead; terminating them releases the lock
+  const pinger = setInterval(() => {
+    for (const ws of leases.values()) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, options.pingInterval);
+  
+  // Push termination as soon as the lock changes hands
+  roomEvents.on('change', (state, roomId) => {
+    for (const [sessionId, ws] of leases) {
+      if (ws.roomId === roomId && state.session_id !== sessionId) {
+        endLease(ws, 'ended');
+      }
+    }
+  });
+  
+  wss.on('close', () => clearInterval(pinger));
+  
+  return wss;
+}
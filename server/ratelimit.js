@@ -0,0 +1,162 @@
+/**
+ * Rate limiting
+ *
+ * Each limited route has a policy: at most `max` requests per client in
+ * any `window` ms. Limits slide rather than reset on the minute, estimated
+ * from two fixed-window counters the way most API gateways do it: this
+ * window's count plus the previous window's, weighted by how much of it
+ * still overlaps. The counters live in the storage layer, so every server
+ * sharing a store enforces the same limits.
+ *
+ * Every limited response carries RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers; a refused request gets
+ * 429 with Retry-After as well. If the store can't be reached, requests
+ * are let through: the room is unusable then anyway, and the route itself
+ * will answer 503.
+ *
+ * Clients are told apart by `req.ip`, so behind a load balancer TRUST_PROXY
+ * must name the proxies whose X-Forwarded-For can be believed.
+ */
+
+import { hitRateLimit, pruneRateLimits } from './store.js';
+import { DEFAULTS, ConfigError } from './config.js';
+
+/**
+ * Express's `trust proxy` value for the TRUST_PROXY setting
+ *   - empty or `false` — use the socket address, ignore X-Forwarded-For
+ *   - `true`           — believe X-Forwarded-For entirely (only behind a proxy that overwrites it)
+ *   - a number         — believe that many proxy hops
+ *   - anything else    — comma-separated addresses, subnets or `loopback`, `linklocal`, `uniquelocal`
+ */
+export function trustProxy(setting) {
+  if (setting === '' || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * The configured policies, with any route left out keeping its default
+ * Throws ConfigError on unknown routes or bad limits.
+ */
+export function loadPolicies(configured) {
+  const problems = [];
+  const policies = {};
+
+  for (const route of Object.keys(configured)) {
+    if (!(route in DEFAULTS.RATE_LIMITS)) {
+      problems.push(`RATE_LIMITS has no route "${route}" (expected one of: ${Object.keys(DEFAULTS.RATE_LIMITS).join(', ')})`);
+    }
+  }
+
+  for (const [route, fallback] of Object.entries(DEFAULTS.RATE_LIMITS)) {
+    const policy = { ...fallback, ...configured[route] };
+    if (!Number.isInteger(policy.max) || policy.max < 1) {
+      problems.push(`RATE_LIMITS.${route}.max must be a whole number of at least 1`);
+    }
+    if (!Number.isInteger(policy.window) || policy.window < 1000) {
+      problems.push(`RATE_LIMITS.${route}.window must be a whole number of ms, at least 1000`);
+    }
+    policies[route] = { max: policy.max, window: policy.window };
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return policies;
+}
+
+/**
+ * How many requests the sliding window holds right now
+ */
+function estimate({ count, previous }, elapsed, window) {
+  return previous * (window - elapsed) / window + count;
+}
+
+/**
+ * Milliseconds until one more request would fit under `max`
+ * Either the previous window's weight drains enough during this one, or
+ * the client has to wait for this window's count to start draining too.
+ */
+function retryDelay({ count, previous }, elapsed, window, max) {
+  let delay;
+  if (count <= max - 1) {
+    delay = window - elapsed - (max - 1 - count) * window / previous;
+  } else {
+    delay = 2 * window - elapsed - (max - 1) * window / count;
+  }
+  return Math.max(0, delay);
+}
+
+/**
+ * A limiter for the configured `policies`, keyed by route name
+ * `allow(route, req, res)` sets the rate limit headers and resolves to
+ * true, or answers 429 itself and resolves to false. `stop()` ends the
+ * periodic cleanup.
+ */
+export function createRateLimiter({ policies }) {
+  // Latest estimate per route and address, for the admin console
+  const recent = new Map();
+
+  // Forget quiet clients and expired counters
+  const longestWindow = Math.max(...Object.values(policies).map(policy => policy.window));
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, spot] of recent) {
+      if (now - spot.at > policies[spot.action].window) recent.delete(key);
+    }
+    pruneRateLimits().catch((err) => {
+      console.error(`[RATELIMIT] Could not prune counters: ${err.message}`);
+    });
+  }, longestWindow);
+
+  async function allow(route, req, res) {
+    const { max, window } = policies[route];
+
+    let hit;
+    try {
+      hit = await hitRateLimit(`${route}:${req.ip}`, window);
+    } catch (err) {
+      console.error(`[RATELIMIT] Letting ${route} through, store unavailable: ${err.message}`);
+      return true;
+    }
+
+    const now = Date.now();
+    const elapsed = now - hit.windowStart;
+    const used = estimate(hit, elapsed, window);
+    recent.set(`${route}:${req.ip}`, { ip: req.ip, action: route, count: Math.ceil(used), limit: max, at: now });
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Policy', `${max};w=${Math.ceil(window / 1000)}`);
+
+    if (used <= max) {
+      res.set('RateLimit-Remaining', String(Math.floor(max - used)));
+      res.set('RateLimit-Reset', String(Math.ceil((window - elapsed) / 1000)));
+      return true;
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(retryDelay(hit, elapsed, window, max) / 1000));
+    res.set('RateLimit-Remaining', '0');
+    res.set('RateLimit-Reset', String(retryAfter));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      rateLimited: true,
+      retryAfter,
+      error: 'Too many requests. Please wait.'
+    });
+    return false;
+  }
+
+  /**
+   * The clients closest to their limits, busiest first (admin only)
+   */
+  function hotSpots(limit) {
+    return [...recent.values()]
+      .map(({ ip, action, count, limit: max }) => ({ ip, action, count, limit: max }))
+      .sort((a, b) => b.count / b.limit - a.count / a.limit)
+      .slice(0, limit);
+  }
+
+  return { allow, hotSpots, stop: () => clearInterval(cleanup) };
+}
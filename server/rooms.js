@@ -0,0 +1,104 @@
+/**
+ * Rooms
+ *
+ * One deployment can host several independent rooms, each with its own
+ * lock, content, line and archive. The default room lives at / and /api;
+ * every other room lives at /r/<id> and /api/rooms/<id>. Rooms are
+ * declared up front, so a typo in a link finds nothing instead of
+ * quietly opening a new room.
+ *
+ * A room may override some settings of the deployment:
+ *   - hardSessionTimeout — how long a visit can last, in ms
+ *   - maxTextLength      — longest message that can be left
+ *   - drawingEnabled     — whether visitors can leave a drawing
+ */
+
+import { DEFAULT_ROOM_ID } from './store.js';
+import { ConfigError } from './config.js';
+
+// Short, URL- and filename-safe room IDs
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// The file store keeps a room in data/room.<id>.json, which for these would
+// be one of the default room's own files
+const RESERVED_IDS = new Set(['archive']);
+
+// Why a room refused content, for the visitor
+export const ROOM_ERRORS = {
+  drawing_disabled: 'Drawings are turned off in this room.'
+};
+
+// How each override is checked
+const SETTINGS = {
+  hardSessionTimeout: value => Number.isInteger(value) && value > 0,
+  maxTextLength: value => Number.isInteger(value) && value > 0,
+  drawingEnabled: value => typeof value === 'boolean'
+};
+
+// How a room's settings must relate to the deployment's `limits`, as in config.js
+const RULES = [
+  [(room, limits) => limits.heartbeatTimeout < room.hardSessionTimeout,
+    'hardSessionTimeout must be longer than HEARTBEAT_TIMEOUT'],
+  [(room, limits) => limits.leaseWarningAt < room.hardSessionTimeout,
+    'hardSessionTimeout must be longer than LEASE_WARNING_AT']
+];
+
+/**
+ * A room's settings: the deployment defaults with its overrides on top
+ */
+function createRoom(id, overrides, defaults, limits) {
+  if (!ROOM_ID_PATTERN.test(id)) {
+    throw new ConfigError([`Invalid room ID "${id}" (use lowercase letters, digits and dashes)`]);
+  }
+  if (RESERVED_IDS.has(id)) {
+    throw new ConfigError([`Room ID "${id}" is reserved`]);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ConfigError([`Settings for room "${id}" must be an object`]);
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!SETTINGS[key]) {
+      throw new ConfigError([`Unknown setting "${key}" for room "${id}" (expected one of: ${Object.keys(SETTINGS).join(', ')})`]);
+    }
+    if (!SETTINGS[key](value)) {
+      throw new ConfigError([`Invalid ${key} for room "${id}": ${JSON.stringify(value)}`]);
+    }
+  }
+
+  const room = {
+    id,
+    apiBase: id === DEFAULT_ROOM_ID ? '/api' : `/api/rooms/${id}`,
+    ...defaults,
+    ...overrides
+  };
+
+  const problems = RULES
+    .filter(([holds]) => !holds(room, limits))
+    .map(([, message]) => `Room "${id}": ${message}`);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return room;
+}
+
+/**
+ * Every room, by ID, from the ROOMS setting: `{ "<id>": { ...overrides } }`
+ * The default room is always present; listing it applies overrides to it.
+ * `limits` is `{ heartbeatTimeout, leaseWarningAt }`, which every room's
+ * visits must outlast. Throws ConfigError on anything malformed so a bad
+ * deployment fails at startup.
+ */
+export function loadRooms(declared, defaults, limits) {
+  const rooms = new Map();
+  rooms.set(DEFAULT_ROOM_ID, createRoom(DEFAULT_ROOM_ID, declared[DEFAULT_ROOM_ID] || {}, defaults, limits));
+
+  for (const [id, overrides] of Object.entries(declared)) {
+    if (id !== DEFAULT_ROOM_ID) {
+      rooms.set(id, createRoom(id, overrides, defaults, limits));
+    }
+  }
+
+  console.log(`[ROOMS] Serving ${[...rooms.keys()].join(', ')}`);
+  return rooms;
+}
@@ -1,22 +1,34 @@
 /**
- * Supabase-based data store for The Internet Room
- * Stores room content and lock state in PostgreSQL
+ * Data store for The Internet Room
+ * Holds room content and lock state behind a pluggable storage adapter.
+ *
+ * The adapter is chosen with the STORE_ADAPTER environment variable:
+ *   - memory   — in-process, lost on restart (default without Supabase)
+ *   - file     — JSON file at STORE_FILE (default: data/room.json)
+ *   - supabase — room_state table (default when SUPABASE_URL is set)
+ *
+ * Each adapter also keeps a short admin-only archive of recent artifacts
+ * (the content visitors left behind), so abuse can be rolled back, and an
+ * append-only audit log of admin requests.
+ *
+ * Every room has its own adapter instance, so rooms never share a lock,
+ * content, line or archive. When each ticket in line last polled is kept
+ * apart from the room, so waiting never competes with the occupant's
+ * writes. The audit log and rate limit counters are kept
+ * with the default room.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { createMemoryStore } from './stores/memory.js';
+import { createFileStore } from './stores/file.js';
+import { createSupabaseStore } from './stores/supabase.js';
+import { createCounter, createHistogram, secondsSince } from './metrics.js';
+import { ConfigError } from './config.js';
 
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing SUPABASE_URL or SUPABASE_ANON_KEY environment variables');
-}
-
-const supabase = createClient(supabaseUrl || '', supabaseKey || '');
-
-// Room ID (single room concept)
-const ROOM_ID = 'the-room';
+// The room served at / and /api, and the only one before rooms had names
+export const DEFAULT_ROOM_ID = 'the-room';
 
 // Default room state
 const DEFAULT_STATE = {
@@ -25,125 +37,305 @@ const DEFAULT_STATE = {
   is_occupied: false,
   session_id: null,
   occupied_since: null,
-  last_heartbeat_at: null
+  last_heartbeat_at: null,
+  resume_token: null,
+  draft_text: null,
+  draft_drawing: null,
+  draft_saved_at: null,
+  last_session_id: null,
+  artifact_id: null,
+  waiting_line: []
 };
 
+const ADAPTERS = {
+  memory: () => createMemoryStore(),
+  file: (roomId) => {
+    const storeFile = path.resolve(process.env.STORE_FILE || 'data/room.json');
+    // Other rooms sit beside the default one, e.g. data/room.quiet.json
+    const filePath = roomId === DEFAULT_ROOM_ID
+      ? storeFile
+      : storeFile.replace(/(\.json)?$/, `.${roomId}.json`);
+    return createFileStore({
+      filePath,
+      archivePath: filePath.replace(/(\.json)?$/, '.archive.json'),
+      auditPath: filePath.replace(/(\.json)?$/, '.audit.jsonl')
+    });
+  },
+  supabase: (roomId) => createSupabaseStore({ roomId })
+};
+
+// The chosen adapter factory (see chooseStore)
+let createAdapter = null;
+
 /**
- * Load room state from Supabase
+ * Pick the storage adapter from the environment
+ * Called once at startup, so a bad STORE_ADAPTER is reported with the
+ * other settings; throws ConfigError. Otherwise the first store call
+ * picks it.
  */
-async function loadState() {
-  try {
-    const { data, error } = await supabase
-      .from('room_state')
-      .select('*')
-      .eq('room_id', ROOM_ID)
-      .single();
-    
-    if (error && error.code !== 'PGRST116') {
-      console.error('Error loading state:', error.message);
-      return { ...DEFAULT_STATE };
-    }
-    
-    if (!data) {
-      // Create initial row if doesn't exist
-      await saveState(DEFAULT_STATE);
-      return { ...DEFAULT_STATE };
-    }
-    
-    return {
-      current_text: data.current_text || '',
-      current_drawing: data.current_drawing || null,
-      is_occupied: data.is_occupied || false,
-      session_id: data.session_id || null,
-      occupied_since: data.occupied_since ? new Date(data.occupied_since).getTime() : null,
-      last_heartbeat_at: data.last_heartbeat_at ? new Date(data.last_heartbeat_at).getTime() : null
-    };
-  } catch (err) {
-    console.error('Error loading state:', err.message);
-    return { ...DEFAULT_STATE };
+export function chooseStore(env = process.env) {
+  const name = env.STORE_ADAPTER || (env.SUPABASE_URL ? 'supabase' : 'memory');
+  const factory = ADAPTERS[name];
+  
+  if (!factory) {
+    throw new ConfigError([`STORE_ADAPTER "${name}" is not a storage adapter (expected one of: ${Object.keys(ADAPTERS).join(', ')})`]);
+  }
+  
+  console.log(`[STORE] Using ${name} storage`);
+  createAdapter = factory;
+}
+
+// Adapter instances by room ID, created on first use
+const adapters = new Map();
+
+/**
+ * The adapter holding one room
+ */
+function adapterFor(roomId) {
+  if (!createAdapter) {
+    chooseStore();
+  }
+  if (!adapters.has(roomId)) {
+    adapters.set(roomId, createAdapter(roomId));
+  }
+  return adapters.get(roomId);
+}
+
+/**
+ * Emits 'change' with the new state and the room ID after every
+ * successful write, so listeners see enter, leave, stale release and
+ * admin clear alike. Also emits 'release' with
+ * `{ roomId, reason, at, durationMs }` whenever a visit ends.
+ */
+export const roomEvents = new EventEmitter();
+
+/**
+ * Thrown when the storage backend can't be reached
+ * Callers must treat the room as unknown, never as empty.
+ */
+export class StoreUnavailableError extends Error {
+  constructor(cause) {
+    super(`Store unavailable: ${cause.message}`);
+    this.name = 'StoreUnavailableError';
+    this.cause = cause;
   }
 }
 
 /**
- * Save room state to Supabase
+ * Thrown when a write keeps losing to other writers
+ * The store is fine and the caller's standing hasn't changed; it's worth
+ * trying again shortly, and never a reason to end a visit.
  */
-async function saveState(state) {
+export class StoreContentionError extends Error {
+  constructor(roomId) {
+    super(`Too many conflicting writes in ${roomId}`);
+    this.name = 'StoreContentionError';
+  }
+}
+
+// How many times a conflicting write is retried before giving up
+const MAX_WRITE_ATTEMPTS = 5;
+
+const storeDuration = createHistogram({
+  name: 'room_store_operation_duration_seconds',
+  help: 'Time taken by storage adapter calls, by operation.',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+const storeErrors = createCounter({
+  name: 'room_store_errors_total',
+  help: 'Storage adapter calls that failed, by operation.'
+});
+const storeConflicts = createCounter({
+  name: 'room_store_write_conflicts_total',
+  help: 'Compare-and-set writes lost to another writer.'
+});
+['load', 'compareAndSet'].forEach(operation => storeErrors.inc({ operation }, 0));
+storeConflicts.inc({}, 0);
+
+/**
+ * Call a method on a room's adapter, timing it for metrics
+ * Throws StoreUnavailableError if the call fails.
+ */
+async function adapterCall(roomId, method, ...args) {
+  const started = performance.now();
   try {
-    const { error } = await supabase
-      .from('room_state')
-      .upsert({
-        room_id: ROOM_ID,
-        current_text: state.current_text,
-        current_drawing: state.current_drawing,
-        is_occupied: state.is_occupied,
-        session_id: state.session_id,
-        occupied_since: state.occupied_since ? new Date(state.occupied_since).toISOString() : null,
-        last_heartbeat_at: state.last_heartbeat_at ? new Date(state.last_heartbeat_at).toISOString() : null,
-        updated_at: new Date().toISOString()
-      }, { onConflict: 'room_id' });
-    
-    if (error) {
-      console.error('Error saving state:', error.message);
-    }
+    return await adapterFor(roomId)[method](...args);
   } catch (err) {
-    console.error('Error saving state:', err.message);
+    storeErrors.inc({ operation: method });
+    throw new StoreUnavailableError(err);
+  } finally {
+    storeDuration.observe({ operation: method }, secondsSince(started));
   }
 }
 
+// Lease limits by room ID, as registered with setLeaseRules
+const leaseRules = new Map();
+
 /**
- * Get current room state
+ * Tell the store how long a room's visits may last
+ * `rules` is `{ heartbeatTimeout, hardTimeout, archive }`: silence after
+ * which a visit is over, the hard limit on a visit, and where the draft an
+ * expired visit leaves behind is archived. Without rules, leases never
+ * expire on their own.
  */
-export async function getState() {
-  return await loadState();
+export function setLeaseRules(roomId, rules) {
+  leaseRules.set(roomId, rules);
 }
 
 /**
- * Update room state
+ * Why the occupant's lease has run out, and how long ago it was renewed
+ * or began, or null if it is still good
  */
-export async function updateState(updates) {
-  const current = await loadState();
-  const newState = { ...current, ...updates };
-  await saveState(newState);
-  return newState;
+function leaseExpiry(state, now, rules) {
+  if (!state.is_occupied || !rules) return null;
+  
+  const heartbeatAge = now - state.last_heartbeat_at;
+  if (heartbeatAge > rules.heartbeatTimeout) {
+    return { reason: 'heartbeat_timeout', age: heartbeatAge };
+  }
+  
+  const sessionAge = now - state.occupied_since;
+  if (sessionAge > rules.hardTimeout) {
+    return { reason: 'hard_timeout', age: sessionAge };
+  }
+  return null;
 }
 
 /**
- * Acquire the room lock
+ * The waiting line with each ticket's latest poll filled in
  */
-export async function acquireLock(sessionId) {
-  const state = await loadState();
+async function withSightings(roomId, waiting) {
+  if (waiting.length === 0) return waiting;
   
-  if (state.is_occupied) {
-    return { success: false, reason: 'occupied' };
+  const seen = await adapterCall(roomId, 'ticketSightings', waiting.map(t => t.ticket));
+  return waiting.map(t => (seen[t.ticket] > t.last_seen_at ? { ...t, last_seen_at: seen[t.ticket] } : t));
+}
+
+/**
+ * Forget sightings of tickets that have since expired
+ * Best effort: stale sightings only take up space.
+ */
+async function pruneSightings(roomId, line) {
+  try {
+    await adapterCall(roomId, 'pruneSightings', Date.now() - line.ticketTimeout);
+  } catch (err) {
+    console.error(`[QUEUE] Could not prune ticket sightings: ${err.message}`);
   }
+}
+
+/**
+ * Load room state from the adapter
+ * The returned state carries the row `version` (null if no row exists yet).
+ * The line's poll times are filled in from the ticket sightings.
+ * An expired lease reads as already released, with its draft left behind,
+ * whether or not a sweep has written that yet; `expired` then describes
+ * the release so whoever writes next can announce it.
+ * Throws StoreUnavailableError rather than guessing at an empty room.
+ */
+async function loadState(roomId) {
+  const data = await adapterCall(roomId, 'load');
   
-  const now = Date.now();
-  const newState = await updateState({
-    is_occupied: true,
-    session_id: sessionId,
-    occupied_since: now,
-    last_heartbeat_at: now
-  });
+  if (!data) {
+    return { ...DEFAULT_STATE, version: null, expired: null };
+  }
+  
+  const state = { ...DEFAULT_STATE, ...data };
+  state.waiting_line = await withSightings(roomId, state.waiting_line);
+  const expiry = leaseExpiry(state, Date.now(), leaseRules.get(roomId));
+  if (!expiry) {
+    return { ...state, expired: null };
+  }
   
-  return { success: true, state: newState };
+  const { version, ...current } = state;
+  const released = { ...current, ...releaseUpdates(current, draftContent(current)) };
+  return {
+    ...released,
+    version,
+    expired: { ...expiry, occupiedSince: state.occupied_since, previousArtifactId: state.artifact_id, state: released }
+  };
 }
 
 /**
- * Release the room lock
+ * Announce and archive a lease expiry that has just been written
  */
-export async function releaseLock(sessionId, content = null) {
-  const state = await loadState();
-  
-  // Only the lock holder can release, or force release
-  if (state.session_id !== sessionId && sessionId !== 'FORCE') {
-    return { success: false, reason: 'not_owner' };
+async function settleExpiry(roomId, expired) {
+  console.log(`[LOCK] Releasing stale lock in ${roomId}: ${expired.reason} (${Math.round(expired.age/1000)}s)`);
+  announceRelease(roomId, expired.reason, expired.occupiedSince);
+  await archiveArtifact(roomId, expired.state, expired.previousArtifactId, expired.reason, leaseRules.get(roomId).archive);
+}
+
+/**
+ * Write room state only if the row is still at `expectedVersion`
+ */
+async function compareAndSetState(roomId, expectedVersion, state) {
+  const written = await adapterCall(roomId, 'compareAndSet', expectedVersion, state);
+  if (!written) {
+    storeConflicts.inc();
+  }
+  return written;
+}
+
+/**
+ * Apply a change to the room atomically
+ *
+ * `decide` receives the current state, with any expired lease already
+ * released, and the expiry (or null); it returns `{ updates, result }` to
+ * write, or just `{ result }` to stop without writing. If another writer
+ * got there first the state is reloaded and `decide` runs again, so it
+ * must not have side effects. An expired lease is written even when
+ * `decide` changes nothing, but only `updates` earn the result a `state`.
+ * Throws StoreContentionError if every attempt loses.
+ */
+async function transact(roomId, decide) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const { version, expired, ...current } = await loadState(roomId);
+    const { updates, result } = decide(current, expired);
+    
+    if (!updates && !expired) {
+      return result;
+    }
+    
+    const newState = { ...current, ...updates };
+    
+    if (await compareAndSetState(roomId, version, newState)) {
+      roomEvents.emit('change', newState, roomId);
+      if (expired) {
+        await settleExpiry(roomId, expired);
+      }
+      return updates ? { ...result, state: newState } : result;
+    }
   }
   
+  console.error(`[STORE] Gave up after ${MAX_WRITE_ATTEMPTS} conflicting writes in ${roomId}`);
+  throw new StoreContentionError(roomId);
+}
+
+/**
+ * The occupant's last autosaved draft as content, or null if none was sent
+ */
+function draftContent(state) {
+  if (!state.draft_saved_at) {
+    return null;
+  }
+  return { text: state.draft_text || '', drawing: state.draft_drawing };
+}
+
+/**
+ * Lock fields for an empty room, plus any content being left behind
+ * The departing session is remembered so a repeated leave can be
+ * recognised. Non-empty content gets a fresh artifact ID for the archive.
+ */
+function releaseUpdates(state, content = null) {
   const updates = {
     is_occupied: false,
     session_id: null,
+    last_session_id: state.session_id,
     occupied_since: null,
-    last_heartbeat_at: null
+    last_heartbeat_at: null,
+    resume_token: null,
+    draft_text: null,
+    draft_drawing: null,
+    draft_saved_at: null
   };
   
   // Save content if provided
@@ -154,79 +346,517 @@ export async function releaseLock(sessionId, content = null) {
     if (content.drawing !== undefined) {
       updates.current_drawing = content.drawing;
     }
+    updates.artifact_id = content.text || content.drawing ? uuidv4() : null;
   }
   
-  const newState = await updateState(updates);
-  return { success: true, state: newState };
+  return updates;
 }
 
 /**
- * Update heartbeat timestamp
+ * Tell listeners a visit ended, and why
+ */
+function announceRelease(roomId, reason, occupiedSince) {
+  const at = Date.now();
+  roomEvents.emit('release', { roomId, reason, at, durationMs: occupiedSince ? at - occupiedSince : null });
+}
+
+/**
+ * Archive the artifact a release just left behind, then apply retention
+ * `archive` is `{ size, retention }`; without it (or with size 0) nothing
+ * is kept. Best effort: the release has already happened either way.
  */
-export async function updateHeartbeat(sessionId) {
-  const state = await loadState();
+async function archiveArtifact(roomId, state, previousId, reason, archive) {
+  if (!archive || archive.size <= 0) return;
+  if (!state.artifact_id || state.artifact_id === previousId) return;
   
-  if (state.session_id !== sessionId) {
-    return { success: false, reason: 'not_owner' };
+  try {
+    const adapter = adapterFor(roomId);
+    const now = Date.now();
+    await adapter.appendArtifact({
+      id: state.artifact_id,
+      text: state.current_text,
+      drawing: state.current_drawing,
+      reason,
+      left_at: now,
+      hidden: false
+    });
+    await adapter.pruneArtifacts(now - archive.retention, archive.size);
+  } catch (err) {
+    console.error(`[ARCHIVE] Could not archive artifact: ${err.message}`);
   }
-  
-  await updateState({ last_heartbeat_at: Date.now() });
-  return { success: true };
 }
 
 /**
- * Check and release stale locks
+ * Drop expired tickets and call the head of the line
+ *
+ * A ticket expires when it hasn't been polled for `line.ticketTimeout`.
+ * While the room is vacant the head ticket is called and has
+ * `line.claimWindow` to step in before the next ticket is called.
  */
-export async function checkStaleLocks(heartbeatTimeout, hardTimeout) {
-  const state = await loadState();
+function tidyLine(state, now, line) {
+  let waiting = state.waiting_line.filter(t => now - t.last_seen_at <= line.ticketTimeout);
   
   if (!state.is_occupied) {
-    return { released: false };
+    while (waiting.length && waiting[0].called_at && now - waiting[0].called_at > line.claimWindow) {
+      waiting = waiting.slice(1);
+    }
+    if (waiting.length && !waiting[0].called_at) {
+      waiting = [{ ...waiting[0], called_at: now }, ...waiting.slice(1)];
+    }
   }
   
-  const now = Date.now();
-  const heartbeatAge = now - state.last_heartbeat_at;
-  const sessionAge = now - state.occupied_since;
+  return waiting;
+}
+
+/**
+ * Updates that persist a tidied line, or undefined if nothing changed
+ */
+function lineUpdates(state, waiting) {
+  const before = state.waiting_line;
+  const changed = before.length !== waiting.length ||
+    (before.length > 0 && before[0].called_at !== waiting[0].called_at);
   
-  // Check heartbeat timeout (30 seconds)
-  if (heartbeatAge > heartbeatTimeout) {
-    console.log(`[LOCK] Releasing stale lock: heartbeat timeout (${Math.round(heartbeatAge/1000)}s)`);
-    await releaseLock('FORCE');
-    return { released: true, reason: 'heartbeat_timeout' };
-  }
+  return changed ? { waiting_line: waiting } : undefined;
+}
+
+/**
+ * Get current room state
+ */
+export async function getState(roomId) {
+  const { version, expired, ...state } = await loadState(roomId);
+  return state;
+}
+
+/**
+ * Update room state
+ */
+export async function updateState(roomId, updates) {
+  const result = await transact(roomId, () => ({ updates, result: { success: true } }));
+  return result.state;
+}
+
+/**
+ * Acquire the room lock
+ * Only succeeds if the room is still vacant at the moment of writing;
+ * concurrent callers that lose the race get `reason: 'occupied'`.
+ * While anyone is waiting in line, only the called head `ticket` may
+ * enter; everyone else gets `reason: 'queued'`. The new state carries a
+ * `resume_token` the occupant can use to pick the visit up again.
+ */
+export async function acquireLock(roomId, sessionId, ticket, line) {
+  return transact(roomId, (state) => {
+    if (state.is_occupied) {
+      return { result: { success: false, reason: 'occupied' } };
+    }
+    
+    const now = Date.now();
+    const waiting = tidyLine(state, now, line);
+    
+    if (waiting.length > 0 && waiting[0].ticket !== ticket) {
+      return {
+        updates: lineUpdates(state, waiting),
+        result: { success: false, reason: 'queued' }
+      };
+    }
+    
+    return {
+      updates: {
+        is_occupied: true,
+        session_id: sessionId,
+        occupied_since: now,
+        last_heartbeat_at: now,
+        resume_token: uuidv4(),
+        waiting_line: waiting.slice(1)
+      },
+      result: { success: true }
+    };
+  });
+}
+
+/**
+ * Hand a live visit to a new session, given the visit's resume token
+ * For a page that reloaded mid-visit. The lease keeps its start, so the
+ * hard deadline doesn't move, and both the session ID and the token are
+ * replaced, so the old ones (and any release still pending for them) stop
+ * working. An expired lease reads as vacant and can't be resumed.
+ */
+export async function resumeLock(roomId, resumeToken, sessionId) {
+  return transact(roomId, (state) => {
+    if (!state.is_occupied || !resumeToken || state.resume_token !== resumeToken) {
+      return { result: { success: false, reason: 'not_resumable' } };
+    }
+    
+    return {
+      updates: {
+        session_id: sessionId,
+        last_heartbeat_at: Date.now(),
+        resume_token: uuidv4()
+      },
+      result: { success: true }
+    };
+  });
+}
+
+/**
+ * Release the room lock
+ * Without explicit content, the occupant's last draft is left behind.
+ * Leaving again after the session already ended succeeds with
+ * `alreadyLeft` and changes nothing. Whatever is left behind is archived
+ * under `reason` when `archive` settings are given.
+ */
+export async function releaseLock(roomId, sessionId, content = null, { archive = null, reason = 'left' } = {}) {
+  const result = await transact(roomId, (state) => {
+    if (state.session_id !== sessionId && state.last_session_id === sessionId) {
+      return { result: { success: true, alreadyLeft: true } };
+    }
+    
+    // Only the lock holder can release; admins use evictOccupant
+    if (state.session_id !== sessionId) {
+      return { result: { success: false, reason: 'not_owner' } };
+    }
+    
+    return {
+      updates: releaseUpdates(state, content !== null ? content : draftContent(state)),
+      result: { success: true, previousArtifactId: state.artifact_id, occupiedSince: state.occupied_since }
+    };
+  });
   
-  // Check hard session timeout (3-5 minutes)
-  if (sessionAge > hardTimeout) {
-    console.log(`[LOCK] Releasing lock: hard timeout (${Math.round(sessionAge/1000)}s)`);
-    await releaseLock('FORCE');
-    return { released: true, reason: 'hard_timeout' };
+  if (result.state) {
+    announceRelease(roomId, reason, result.occupiedSince);
+    await archiveArtifact(roomId, result.state, result.previousArtifactId, reason, archive);
   }
   
-  return { released: false };
+  return result;
+}
+
+/**
+ * Update heartbeat timestamp
+ * An optional `draft` ({ text, drawing }, already validated) is held
+ * against the session so a forced release can still leave it behind.
+ * Also reports when the session began, for lease timing.
+ */
+export async function updateHeartbeat(roomId, sessionId, draft = null) {
+  const result = await transact(roomId, (state) => {
+    if (state.session_id !== sessionId) {
+      return { result: { success: false, reason: 'not_owner' } };
+    }
+    
+    const now = Date.now();
+    const updates = { last_heartbeat_at: now };
+    
+    if (draft) {
+      updates.draft_text = draft.text;
+      updates.draft_drawing = draft.drawing;
+      updates.draft_saved_at = now;
+    }
+    
+    return { updates, result: { success: true } };
+  });
+  
+  return {
+    success: result.success,
+    reason: result.reason,
+    occupiedSince: result.state ? result.state.occupied_since : null
+  };
+}
+
+/**
+ * Write out an expired lease, if there is one, and tidy the line
+ * Reads already treat an expired lease as released; this only makes the
+ * release (and its announcement, and calling the head of the line) happen
+ * promptly on a long-running server instead of at the next write.
+ */
+export async function checkStaleLocks(roomId, line) {
+  const result = await transact(roomId, (state, expired) => ({
+    updates: lineUpdates(state, tidyLine(state, Date.now(), line)),
+    result: { released: Boolean(expired), reason: expired ? expired.reason : undefined }
+  }));
+  await pruneSightings(roomId, line);
+  
+  return { released: Boolean(result.released), reason: result.reason };
+}
+
+/**
+ * Join the back of the line with a fresh ticket
+ */
+export async function joinLine(roomId, ticket, line) {
+  await pruneSightings(roomId, line);
+  
+  return transact(roomId, (state) => {
+    const now = Date.now();
+    const waiting = tidyLine(state, now, line);
+    
+    if (waiting.length >= line.maxLength) {
+      return {
+        updates: lineUpdates(state, waiting),
+        result: { success: false, reason: 'line_full' }
+      };
+    }
+    
+    const entry = { ticket, joined_at: now, last_seen_at: now, called_at: null };
+    const updated = tidyLine({ ...state, waiting_line: [...waiting, entry] }, now, line);
+    
+    return {
+      updates: { waiting_line: updated },
+      result: { success: true, position: updated.length }
+    };
+  });
+}
+
+/**
+ * Report a ticket's place in line and keep it alive
+ * The poll is recorded as a sighting, not in the room row, which is only
+ * written when the line itself changes (a ticket dropped or called).
+ */
+export async function checkTicket(roomId, ticket, line) {
+  await adapterCall(roomId, 'touchTicket', ticket, Date.now());
+  
+  const result = await transact(roomId, (state) => {
+    const now = Date.now();
+    const waiting = tidyLine(state, now, line);
+    const index = waiting.findIndex(t => t.ticket === ticket);
+    const updates = lineUpdates(state, waiting);
+    
+    if (index === -1) {
+      return { updates, result: { success: false, reason: 'expired' } };
+    }
+    
+    const entry = waiting[index];
+    
+    return {
+      updates,
+      result: {
+        success: true,
+        position: index + 1,
+        yourTurn: index === 0 && !state.is_occupied,
+        claimExpiresAt: entry.called_at ? entry.called_at + line.claimWindow : null,
+        occupiedSince: state.occupied_since
+      }
+    };
+  });
+  
+  const { state, ...rest } = result;
+  return rest;
+}
+
+/**
+ * Give up a place in line
+ */
+export async function leaveLine(roomId, ticket, line) {
+  return transact(roomId, (state) => {
+    const now = Date.now();
+    const waiting = tidyLine(state, now, line);
+    const remaining = waiting.filter(t => t.ticket !== ticket);
+    
+    if (remaining.length === waiting.length) {
+      return { updates: lineUpdates(state, waiting), result: { success: false, reason: 'expired' } };
+    }
+    
+    return {
+      updates: { waiting_line: tidyLine({ ...state, waiting_line: remaining }, now, line) },
+      result: { success: true }
+    };
+  });
 }
 
 /**
  * Get room content only (for display)
  */
-export async function getRoomContent() {
-  const state = await loadState();
+export async function getRoomContent(roomId) {
+  const state = await loadState(roomId);
   return {
     text: state.current_text,
     drawing: state.current_drawing
   };
 }
 
+/**
+ * End the current visit (admin only)
+ * With `keepDraft` the occupant's last draft is left behind, like any
+ * forced release; otherwise it is discarded and the content on display
+ * stays as it was. The content is never cleared.
+ */
+export async function evictOccupant(roomId, { keepDraft = true, archive = null } = {}) {
+  const result = await transact(roomId, (state) => {
+    if (!state.is_occupied) {
+      return { result: { success: false, reason: 'vacant' } };
+    }
+    
+    return {
+      updates: releaseUpdates(state, keepDraft ? draftContent(state) : null),
+      result: {
+        success: true,
+        previousArtifactId: state.artifact_id,
+        occupiedSince: state.occupied_since
+      }
+    };
+  });
+  
+  if (result.state) {
+    announceRelease(roomId, 'admin_evict', result.occupiedSince);
+    await archiveArtifact(roomId, result.state, result.previousArtifactId, 'admin_evict', archive);
+  }
+  
+  return { success: result.success, reason: result.reason, state: result.state };
+}
+
+/**
+ * Take the content on display down (admin only)
+ * The lock and the waiting line are left alone.
+ */
+export async function clearContent(roomId) {
+  const result = await transact(roomId, () => ({
+    updates: { current_text: '', current_drawing: null, artifact_id: null },
+    result: { success: true }
+  }));
+  
+  return { success: result.success, reason: result.reason, state: result.state };
+}
+
+/**
+ * Put an admin's own message on display (admin only)
+ * `content` is `{ text, drawing }`, already validated. It is archived
+ * like a visitor's artifact. The lock and the waiting line are left alone.
+ */
+export async function replaceContent(roomId, content, archive = null) {
+  const result = await transact(roomId, (state) => ({
+    updates: {
+      current_text: content.text,
+      current_drawing: content.drawing,
+      artifact_id: content.text || content.drawing ? uuidv4() : null
+    },
+    result: { success: true, previousArtifactId: state.artifact_id }
+  }));
+  
+  if (result.state) {
+    await archiveArtifact(roomId, result.state, result.previousArtifactId, 'admin_replace', archive);
+  }
+  
+  return { success: result.success, reason: result.reason, state: result.state };
+}
+
 /**
  * Force clear the room (admin only)
+ * Evicts any occupant, discarding their draft, and clears the content,
+ * in one write.
  */
-export async function forceClear() {
-  await updateState({
-    is_occupied: false,
-    session_id: null,
-    occupied_since: null,
-    last_heartbeat_at: null,
-    current_text: '',
-    current_drawing: null
+export async function forceClear(roomId) {
+  const result = await transact(roomId, (state) => ({
+    updates: {
+      ...releaseUpdates(state),
+      current_text: '',
+      current_drawing: null,
+      artifact_id: null
+    },
+    result: { success: true, occupiedSince: state.occupied_since }
+  }));
+  
+  if (result.state && result.occupiedSince) {
+    announceRelease(roomId, 'admin_clear', result.occupiedSince);
+  }
+  
+  return { success: result.success, reason: result.reason, state: result.state };
+}
+
+/**
+ * Recent artifacts within retention, newest first (admin only)
+ * The one on display is marked `current`.
+ */
+export async function listArchive(roomId, archive) {
+  await adapterCall(roomId, 'pruneArtifacts', Date.now() - archive.retention, archive.size);
+  const [artifacts, state] = await Promise.all([adapterCall(roomId, 'listArtifacts'), loadState(roomId)]);
+  
+  return artifacts.map(artifact => ({
+    ...artifact,
+    current: artifact.id === state.artifact_id
+  }));
+}
+
+/**
+ * Take the displayed artifact down and mark it hidden (admin only)
+ * The lock and the waiting line are left alone.
+ */
+export async function hideCurrentArtifact(roomId) {
+  const result = await transact(roomId, (state) => {
+    if (!state.current_text && !state.current_drawing) {
+      return { result: { success: false, reason: 'empty' } };
+    }
+    
+    return {
+      updates: { current_text: '', current_drawing: null, artifact_id: null },
+      result: { success: true, hiddenId: state.artifact_id }
+    };
   });
-  return { success: true };
+  
+  if (result.hiddenId) {
+    await adapterCall(roomId, 'setArtifactHidden', result.hiddenId, true);
+  }
+  
+  return result;
+}
+
+/**
+ * Put an archived artifact back on display (admin only)
+ * Hidden artifacts can't be restored. The lock and the waiting line are
+ * left alone; the current occupant's leave still replaces it as usual.
+ */
+export async function restoreArtifact(roomId, id, archive) {
+  const artifacts = await listArchive(roomId, archive);
+  const artifact = artifacts.find(a => a.id === id);
+  
+  if (!artifact) {
+    return { success: false, reason: 'not_found' };
+  }
+  if (artifact.hidden) {
+    return { success: false, reason: 'hidden' };
+  }
+  
+  return transact(roomId, () => ({
+    updates: {
+      current_text: artifact.text,
+      current_drawing: artifact.drawing,
+      artifact_id: artifact.id
+    },
+    result: { success: true }
+  }));
+}
+
+/**
+ * Append an entry to the admin audit log
+ * Entries are never changed or removed by the server. Admin requests for
+ * every room share the one log.
+ */
+export async function appendAudit(entry) {
+  await adapterCall(DEFAULT_ROOM_ID, 'appendAudit', entry);
+}
+
+/**
+ * The most recent audit log entries, newest first (admin only)
+ */
+export async function listAudit(limit) {
+  return adapterCall(DEFAULT_ROOM_ID, 'listAudit', limit);
+}
+
+/**
+ * Count a hit against `key` in the fixed window it falls in
+ * Returns the count in this window, the count in the one before, and when
+ * this window started, which is what a sliding-window limiter needs.
+ * Counters are shared by every server using the same store.
+ */
+export async function hitRateLimit(key, window) {
+  const now = Date.now();
+  const windowStart = now - (now % window);
+
+  const [count, previous] = await Promise.all([
+    adapterCall(DEFAULT_ROOM_ID, 'incrementCounter', `${key}@${windowStart}`, windowStart + 2 * window),
+    adapterCall(DEFAULT_ROOM_ID, 'readCounter', `${key}@${windowStart - window}`)
+  ]);
+  return { count, previous, windowStart };
+}
+
+/**
+ * Drop rate limit counters whose windows have passed
+ */
+export async function pruneRateLimits() {
+  await adapterCall(DEFAULT_ROOM_ID, 'pruneCounters', Date.now());
 }
@@ -0,0 +1,133 @@
+/**
+ * File-based JSON storage adapter
+ * Persists the room to a JSON file on disk, with the artifact archive and
+ * the admin audit log (JSON lines, append-only) beside it.
+ * Atomic within one process only; don't share the files between servers.
+ * Rate limit counters and ticket sightings are short-lived, so they stay
+ * in memory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createMemoryCounters, createMemorySightings } from './memory.js';
+
+/**
+ * Create a store that reads and writes JSON files
+ */
+export function createFileStore({ filePath, archivePath, auditPath }) {
+  // Serialize file access so overlapping writes can't interleave
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function read() {
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      const data = JSON.parse(raw);
+      return { ...data, version: data.version || 0 };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function write(target, data) {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    // Write to a temp file and rename so a crash never leaves half a file
+    const tmpPath = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, target);
+  }
+
+  // Archived artifacts, newest first
+  async function readArchive() {
+    try {
+      return JSON.parse(await fs.readFile(archivePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  // Read, change and rewrite the archive as one queued task
+  function updateArchive(change) {
+    return enqueue(async () => {
+      await write(archivePath, change(await readArchive()));
+    });
+  }
+
+  return {
+    name: 'file',
+
+    load() {
+      return enqueue(read);
+    },
+
+    /**
+     * Write `state` only if the file is still at `expectedVersion`
+     * Check and write happen inside one queued task, so they can't be split.
+     */
+    compareAndSet(expectedVersion, state) {
+      return enqueue(async () => {
+        const current = await read();
+        const currentVersion = current ? current.version : null;
+        if (currentVersion !== expectedVersion) {
+          return false;
+        }
+
+        await write(filePath, { ...state, version: (expectedVersion || 0) + 1 });
+        return true;
+      });
+    },
+
+    appendArtifact(artifact) {
+      return updateArchive(artifacts => [artifact, ...artifacts]);
+    },
+
+    listArtifacts() {
+      return enqueue(readArchive);
+    },
+
+    setArtifactHidden(id, hidden) {
+      return updateArchive(artifacts => artifacts.map(artifact => (
+        artifact.id === id ? { ...artifact, hidden } : artifact
+      )));
+    },
+
+    /**
+     * Drop artifacts left before `cutoff`, and all but the newest `keep`
+     */
+    pruneArtifacts(cutoff, keep) {
+      return updateArchive(artifacts => artifacts
+        .filter(artifact => artifact.left_at >= cutoff)
+        .slice(0, keep));
+    },
+
+    appendAudit(entry) {
+      return enqueue(async () => {
+        await fs.mkdir(path.dirname(auditPath), { recursive: true });
+        await fs.appendFile(auditPath, JSON.stringify(entry) + '\n');
+      });
+    },
+
+    listAudit(limit) {
+      return enqueue(async () => {
+        try {
+          const raw = await fs.readFile(auditPath, 'utf8');
+          return raw.trim().split('\n').slice(-limit).reverse().map(line => JSON.parse(line));
+        } catch (err) {
+          if (err.code === 'ENOENT') return [];
+          throw err;
+        }
+      });
+    },
+
+    ...createMemoryCounters(),
+    ...createMemorySightings()
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * In-memory storage adapter
+ * State lives in the process and is lost on restart.
+ * Intended for local development and tests.
+ */
+
+/**
+ * Rate limit counters kept in a Map, each expiring at its own time
+ * Shared by adapters that can't count across processes anyway.
+ */
+export function createMemoryCounters() {
+  const counters = new Map();
+
+  return {
+    /**
+     * Add one to `key` and return the new count
+     * Runs without awaiting, so concurrent hits can't lose a count.
+     */
+    async incrementCounter(key, expiresAt) {
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= Date.now()) {
+        counters.set(key, { count: 1, expiresAt });
+        return 1;
+      }
+      counter.count += 1;
+      return counter.count;
+    },
+
+    async readCounter(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+    },
+
+    async pruneCounters(now) {
+      for (const [key, counter] of counters) {
+        if (counter.expiresAt <= now) counters.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * When each ticket in line last polled, kept in a Map
+ * Shared by adapters that can't share the line across processes anyway.
+ */
+export function createMemorySightings() {
+  const sightings = new Map();
+
+  return {
+    async touchTicket(ticket, seenAt) {
+      sightings.set(ticket, seenAt);
+    },
+
+    /**
+     * Last poll time by ticket, for those of `tickets` seen at all
+     */
+    async ticketSightings(tickets) {
+      const seen = {};
+      for (const ticket of tickets) {
+        if (sightings.has(ticket)) seen[ticket] = sightings.get(ticket);
+      }
+      return seen;
+    },
+
+    async pruneSightings(cutoff) {
+      for (const [ticket, seenAt] of sightings) {
+        if (seenAt < cutoff) sightings.delete(ticket);
+      }
+    }
+  };
+}
+
+/**
+ * Create a store that keeps the room in a plain object
+ */
+export function createMemoryStore() {
+  let row = null;
+  // Archived artifacts, newest first
+  let artifacts = [];
+  // Admin audit log, oldest first
+  const audit = [];
+
+  return {
+    name: 'memory',
+
+    async load() {
+      return row ? { ...row } : null;
+    },
+
+    /**
+     * Write `state` only if the row is still at `expectedVersion`
+     * Runs without awaiting, so no other write can interleave.
+     */
+    async compareAndSet(expectedVersion, state) {
+      const currentVersion = row ? row.version : null;
+      if (currentVersion !== expectedVersion) {
+        return false;
+      }
+
+      row = { ...state, version: (expectedVersion || 0) + 1 };
+      return true;
+    },
+
+    async appendArtifact(artifact) {
+      artifacts = [{ ...artifact }, ...artifacts];
+    },
+
+    async listArtifacts() {
+      return artifacts.map(artifact => ({ ...artifact }));
+    },
+
+    async setArtifactHidden(id, hidden) {
+      artifacts = artifacts.map(artifact => (artifact.id === id ? { ...artifact, hidden } : artifact));
+    },
+
+    /**
+     * Drop artifacts left before `cutoff`, and all but the newest `keep`
+     */
+    async pruneArtifacts(cutoff, keep) {
+      artifacts = artifacts.filter(artifact => artifact.left_at >= cutoff).slice(0, keep);
+    },
+
+    async appendAudit(entry) {
+      audit.push({ ...entry });
+    },
+
+    async listAudit(limit) {
+      return audit.slice(-limit).reverse();
+    },
+
+    ...createMemoryCounters(),
+    ...createMemorySightings()
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Supabase storage adapter
+ * Stores room content and lock state in PostgreSQL, with archived
+ * artifacts, the admin audit log, rate limit counters and ticket sightings
+ * in tables beside it
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const TABLE = 'room_state';
+const ARCHIVE_TABLE = 'room_archive';
+const AUDIT_TABLE = 'admin_audit';
+const RATE_LIMIT_TABLE = 'rate_limits';
+const SIGHTINGS_TABLE = 'queue_sightings';
+
+/**
+ * Convert a room_state row into the in-memory state shape
+ */
+function fromRow(data) {
+  return {
+    current_text: data.current_text || '',
+    current_drawing: data.current_drawing || null,
+    is_occupied: data.is_occupied || false,
+    session_id: data.session_id || null,
+    occupied_since: data.occupied_since ? new Date(data.occupied_since).getTime() : null,
+    last_heartbeat_at: data.last_heartbeat_at ? new Date(data.last_heartbeat_at).getTime() : null,
+    resume_token: data.resume_token || null,
+    draft_text: data.draft_text ?? null,
+    draft_drawing: data.draft_drawing || null,
+    draft_saved_at: data.draft_saved_at ? new Date(data.draft_saved_at).getTime() : null,
+    last_session_id: data.last_session_id || null,
+    artifact_id: data.artifact_id || null,
+    waiting_line: data.waiting_line || [],
+    version: data.version || 0
+  };
+}
+
+/**
+ * Convert the in-memory state shape into a room_state row
+ */
+function toRow(roomId, state) {
+  return {
+    room_id: roomId,
+    current_text: state.current_text,
+    current_drawing: state.current_drawing,
+    is_occupied: state.is_occupied,
+    session_id: state.session_id,
+    occupied_since: state.occupied_since ? new Date(state.occupied_since).toISOString() : null,
+    last_heartbeat_at: state.last_heartbeat_at ? new Date(state.last_heartbeat_at).toISOString() : null,
+    resume_token: state.resume_token,
+    draft_text: state.draft_text,
+    draft_drawing: state.draft_drawing,
+    draft_saved_at: state.draft_saved_at ? new Date(state.draft_saved_at).toISOString() : null,
+    last_session_id: state.last_session_id,
+    artifact_id: state.artifact_id,
+    waiting_line: state.waiting_line,
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Convert a room_archive row into an archived artifact
+ */
+function fromArchiveRow(data) {
+  return {
+    id: data.id,
+    text: data.text || '',
+    drawing: data.drawing || null,
+    reason: data.reason,
+    left_at: new Date(data.left_at).getTime(),
+    hidden: data.hidden || false
+  };
+}
+
+/**
+ * Create a store backed by the room_state, room_archive, admin_audit,
+ * rate_limits and queue_sightings tables
+ */
+export function createSupabaseStore({ roomId }) {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    console.error('Missing SUPABASE_URL or SUPABASE_ANON_KEY environment variables');
+  }
+
+  const supabase = createClient(supabaseUrl || '', supabaseKey || '');
+
+  return {
+    name: 'supabase',
+
+    /**
+     * Load the room row, or null if it doesn't exist yet
+     */
+    async load() {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('*')
+        .eq('room_id', roomId)
+        .single();
+
+      // PGRST116: no rows returned
+      if (error && error.code !== 'PGRST116') {
+        throw new Error(error.message);
+      }
+
+      return data ? fromRow(data) : null;
+    },
+
+    /**
+     * Write the room row only if it is still at `expectedVersion`
+     * A single conditional UPDATE, so Postgres decides the winner.
+     */
+    async compareAndSet(expectedVersion, state) {
+      const row = { ...toRow(roomId, state), version: (expectedVersion || 0) + 1 };
+
+      if (expectedVersion === null) {
+        const { error } = await supabase.from(TABLE).insert(row);
+
+        // 23505: unique violation, someone else created the row first
+        if (error && error.code === '23505') {
+          return false;
+        }
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      const { data, error } = await supabase
+        .from(TABLE)
+        .update(row)
+        .eq('room_id', roomId)
+        .eq('version', expectedVersion)
+        .select('room_id');
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data.length === 1;
+    },
+
+    async appendArtifact(artifact) {
+      const { error } = await supabase.from(ARCHIVE_TABLE).insert({
+        id: artifact.id,
+        room_id: roomId,
+        text: artifact.text,
+        drawing: artifact.drawing,
+        reason: artifact.reason,
+        left_at: new Date(artifact.left_at).toISOString(),
+        hidden: artifact.hidden
+      });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    /**
+     * Archived artifacts for this room, newest first
+     */
+    async listArtifacts() {
+      const { data, error } = await supabase
+        .from(ARCHIVE_TABLE)
+        .select('*')
+        .eq('room_id', roomId)
+        .order('left_at', { ascending: false });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data.map(fromArchiveRow);
+    },
+
+    async setArtifactHidden(id, hidden) {
+      const { error } = await supabase
+        .from(ARCHIVE_TABLE)
+        .update({ hidden })
+        .eq('room_id', roomId)
+        .eq('id', id);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    /**
+     * Drop artifacts left before `cutoff`, and all but the newest `keep`
+     */
+    async pruneArtifacts(cutoff, keep) {
+      const expired = await supabase
+        .from(ARCHIVE_TABLE)
+        .delete()
+        .eq('room_id', roomId)
+        .lt('left_at', new Date(cutoff).toISOString());
+
+      if (expired.error) {
+        throw new Error(expired.error.message);
+      }
+
+      const { data, error } = await supabase
+        .from(ARCHIVE_TABLE)
+        .select('id')
+        .eq('room_id', roomId)
+        .order('left_at', { ascending: false })
+        .range(keep, keep + 999);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (data.length === 0) {
+        return;
+      }
+
+      const surplus = await supabase
+        .from(ARCHIVE_TABLE)
+        .delete()
+        .in('id', data.map(row => row.id));
+
+      if (surplus.error) {
+        throw new Error(surplus.error.message);
+      }
+    },
+
+    async appendAudit(entry) {
+      const { error } = await supabase.from(AUDIT_TABLE).insert({
+        room_id: roomId,
+        at: new Date(entry.at).toISOString(),
+        ip: entry.ip,
+        action: entry.action,
+        status: entry.status
+      });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    /**
+     * The newest `limit` audit entries for this room
+     */
+    async listAudit(limit) {
+      const { data, error } = await supabase
+        .from(AUDIT_TABLE)
+        .select('at, ip, action, status')
+        .eq('room_id', roomId)
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data.map(row => ({ ...row, at: new Date(row.at).getTime() }));
+    },
+
+    /**
+     * Add one to a rate limit counter and return the new count
+     * increment_rate_limit upserts in one statement, so every server
+     * counts against the same row.
+     */
+    async incrementCounter(key, expiresAt) {
+      const { data, error } = await supabase.rpc('increment_rate_limit', {
+        p_key: key,
+        p_expires_at: new Date(expiresAt).toISOString()
+      });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data;
+    },
+
+    async readCounter(key) {
+      const { data, error } = await supabase
+        .from(RATE_LIMIT_TABLE)
+        .select('count')
+        .eq('key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data ? data.count : 0;
+    },
+
+    async pruneCounters(now) {
+      const { error } = await supabase
+        .from(RATE_LIMIT_TABLE)
+        .delete()
+        .lte('expires_at', new Date(now).toISOString());
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    /**
+     * Record a ticket's poll in its own small row, away from room_state
+     */
+    async touchTicket(ticket, seenAt) {
+      const { error } = await supabase
+        .from(SIGHTINGS_TABLE)
+        .upsert({ room_id: roomId, ticket, seen_at: new Date(seenAt).toISOString() });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    /**
+     * Last poll time by ticket, for those of `tickets` seen at all
+     */
+    async ticketSightings(tickets) {
+      const { data, error } = await supabase
+        .from(SIGHTINGS_TABLE)
+        .select('ticket, seen_at')
+        .eq('room_id', roomId)
+        .in('ticket', tickets);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return Object.fromEntries(data.map(row => [row.ticket, new Date(row.seen_at).getTime()]));
+    },
+
+    async pruneSightings(cutoff) {
+      const { error } = await supabase
+        .from(SIGHTINGS_TABLE)
+        .delete()
+        .eq('room_id', roomId)
+        .lt('seen_at', new Date(cutoff).toISOString());
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    }
+  };
+}
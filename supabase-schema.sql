@@ -4,14 +4,85 @@
 CREATE TABLE IF NOT EXISTS room_state (
   room_id TEXT PRIMARY KEY DEFAULT 'the-room',
   current_text TEXT DEFAULT '',
-  current_drawing TEXT, -- Base64 encoded drawing data
+  current_drawing TEXT, -- Stroke JSON, or a base64 PNG data URL from older clients
   is_occupied BOOLEAN DEFAULT false,
   session_id TEXT,
   occupied_since TIMESTAMPTZ,
   last_heartbeat_at TIMESTAMPTZ,
+  resume_token TEXT, -- Lets the occupant's tab pick the visit up again after a reload
+  draft_text TEXT, -- Occupant's autosaved draft, left behind on forced release
+  draft_drawing TEXT,
+  draft_saved_at TIMESTAMPTZ,
+  last_session_id TEXT, -- Most recent session to leave, so repeated leaves are harmless
+  artifact_id TEXT, -- Archive entry for the content on display, if any
+  waiting_line JSONB NOT NULL DEFAULT '[]', -- Anonymous tickets, head of the line first
+  version BIGINT NOT NULL DEFAULT 0, -- Bumped on every write for compare-and-set
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Upgrading an existing table: add the newer columns
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS version BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS waiting_line JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS draft_text TEXT;
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS draft_drawing TEXT;
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS draft_saved_at TIMESTAMPTZ;
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS last_session_id TEXT;
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS artifact_id TEXT;
+ALTER TABLE room_state ADD COLUMN IF NOT EXISTS resume_token TEXT;
+
+-- Short admin-only archive of recent artifacts, for rolling back abuse
+-- The server prunes it to the configured size and retention.
+CREATE TABLE IF NOT EXISTS room_archive (
+  id TEXT PRIMARY KEY,
+  room_id TEXT NOT NULL DEFAULT 'the-room',
+  text TEXT DEFAULT '',
+  drawing TEXT,
+  reason TEXT NOT NULL, -- left, socket_closed, heartbeat_timeout, hard_timeout, admin_evict, admin_replace or shutdown
+  hidden BOOLEAN NOT NULL DEFAULT false,
+  left_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS room_archive_room_left_at ON room_archive (room_id, left_at DESC);
+
+-- Append-only log of admin requests, allowed or refused
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id BIGSERIAL PRIMARY KEY,
+  room_id TEXT NOT NULL DEFAULT 'the-room',
+  at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ip TEXT,
+  action TEXT NOT NULL, -- Method and path, e.g. "POST /api/admin/clear"
+  status INTEGER NOT NULL -- HTTP status the request was answered with
+);
+
+-- Rate limit counters, one per client, route and window, shared by every server
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY, -- Route, client address and window start, e.g. "enter:203.0.113.7@1700000040000"
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limits_expires_at ON rate_limits (expires_at);
+
+-- Count a hit in one statement, so concurrent hits can't lose a count
+CREATE OR REPLACE FUNCTION increment_rate_limit(p_key TEXT, p_expires_at TIMESTAMPTZ)
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+  INSERT INTO rate_limits (key, count, expires_at)
+  VALUES (p_key, 1, p_expires_at)
+  ON CONFLICT (key) DO UPDATE SET count = rate_limits.count + 1
+  RETURNING count;
+$$;
+
+-- When each ticket in line last polled, kept apart from room_state so
+-- polling never competes with the occupant's writes
+CREATE TABLE IF NOT EXISTS queue_sightings (
+  room_id TEXT NOT NULL DEFAULT 'the-room',
+  ticket TEXT NOT NULL,
+  seen_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (room_id, ticket)
+);
+
 -- Insert the default room row
 INSERT INTO room_state (room_id, current_text, is_occupied)
 VALUES ('the-room', '', false)
@@ -25,3 +96,39 @@ CREATE POLICY "Allow anonymous access" ON room_state
   FOR ALL
   USING (true)
   WITH CHECK (true);
+
+-- The archive is only ever read by the server, but through the same key
+ALTER TABLE room_archive ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous access" ON room_archive
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- The audit log can be added to and read, never changed or deleted
+ALTER TABLE admin_audit ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Append audit entries" ON admin_audit
+  FOR INSERT
+  WITH CHECK (true);
+
+CREATE POLICY "Read audit entries" ON admin_audit
+  FOR SELECT
+  USING (true);
+
+
+-- Rate limit counters are written by every server through the same key
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous access" ON rate_limits
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- So are ticket sightings
+ALTER TABLE queue_sightings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow anonymous access" ON queue_sightings
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);